@@ -4,21 +4,39 @@
 (function() {
     'use strict';
 
+    // Code shared with the service worker - see shared.js
+    const ENP = window.ENP;
+
     // ============================================================================
     // CONFIGURATION
     // ============================================================================
     const CONFIG = {
+        ...ENP.CONFIG, // Request pacing, post limits and image sizes
         REQUESTS_PER_MINUTE: 50,
-        REQUEST_INTERVAL: 1200, // 1.2 seconds between requests
-        MAX_RETRIES: 3,
-        POSTS_LIMIT: 25,
         UPDATE_CHECK_INTERVAL: 5 * 60 * 1000,
         RATE_LIMIT_RESET_INTERVAL: 60 * 1000,
-        REQUEST_TIMEOUT: 15000,
+        BACKGROUND_REFRESH_INTERVAL: 60 * 60 * 1000, // Periodic Background Sync hint - the browser decides the real interval
+        BACKFILL_MAX_PAGES: 4, // Listing pages fetched per subreddit per sync to fill gaps after time offline
+        BACKFILL_MAX_POSTS: 100, // Stop paging a subreddit once this many posts have been fetched
+        COMMENTS_TOP_POSTS: 5, // Posts per feed whose comments are saved after each sync (when enabled)
+        COMMENTS_MAX_TOTAL: 200, // Comments kept per post
+        COMMENTS_REFRESH_MS: 6 * 60 * 60 * 1000, // Re-fetch saved comments of top posts older than this
+        VIDEO_SIZE_WARNING: 25 * 1024 * 1024, // Ask before saving a single video larger than this
+        VIDEO_BUDGET: 500 * 1024 * 1024, // Total size of videos saved offline
+        BUNDLE_IMAGE_BUDGET: 20 * 1024 * 1024, // Images packed into one news bundle
+        BACKUP_KDF_ITERATIONS: 600000, // PBKDF2 rounds for encrypted backups - about a second on a slow phone
+        BACKUP_PASSPHRASE_MIN: 8, // Shortest passphrase accepted for a new encrypted backup
+        QR_PART_LENGTH: 400, // Payload characters per QR code - small codes scan quickly from a phone screen
+        QR_MAX_PARTS: 60, // Longest QR transfer offered before suggesting Export instead
+        QR_STARRED_POSTS: 5, // Newest starred posts a QR transfer can carry
+        QR_FRAME_INTERVAL: 1200, // Time each code is shown while cycling
+        QR_SCAN_INTERVAL: 250, // Time between camera frames checked for codes
+        MUTE_REGEX_MAX_LENGTH: 200, // Longest regex mute rule accepted
+        WATCHLIST_PIN_HOURS: 24, // Watchlist matches newer than this are pinned to the top of their feed
         CLEANUP_THRESHOLD: 90, // Only cleanup when storage is 90%+ full
         JOB_DELAY_MS: 1000,
-        MAX_SAFE_STORAGE: 4 * 1024 * 1024, // 4MB - conservative cap for mobile Safari localStorage (~5MB hard limit)
-        MAX_POST_AGE_DAYS: 30, // Posts older than this will be deleted
+        MAX_SAFE_STORAGE: 200 * 1024 * 1024, // 200MB - cap for posts in IndexedDB (weeks of posts for a dozen subreddits)
+        MAX_LOCAL_STORAGE: 4 * 1024 * 1024, // 4MB - fallback cap when IndexedDB is unavailable (~5MB hard limit on mobile Safari)
         POSTS_PER_PAGE: 25, // Pagination
         MAX_POST_TEXT_LENGTH: 300, // Characters before "Read More"
         
@@ -29,10 +47,7 @@
         RELOAD_DELAY: 500,
         DISPLAY_UPDATE_INTERVAL: 10000,
         LOAD_MORE_COUNTDOWN: 2000,
-        
-        // Image sizes
-        IMAGE_MIN_WIDTH: 640,
-        IMAGE_MAX_WIDTH: 960,
+        SEARCH_DEBOUNCE: 250, // Wait for a pause in typing before searching
         
         // Scroll
         SCROLL_TO_TOP_THRESHOLD: 300
@@ -50,8 +65,16 @@
         subreddits: [],
         blocked: [],
         blockedUsers: [],
+        muteRules: [], // See MUTE RULES
+        watchlist: [], // Words and phrases that flag new posts - see WATCHLIST
+        hideRead: false, // Leave read posts out of the feeds - see READ STATE
+        feedOrder: 'newest', // How feeds are ordered - one of FEED_ORDERS
+        customFeeds: [], // Named groups of followed subreddits - see CUSTOM FEEDS
+        popularRegion: 'GLOBAL', // Region Popular is narrowed to - one of ENP.POPULAR_REGIONS
+        showMuted: false, // Peek at posts hidden by mute rules - not persisted
         current: 'my',
         filter: 'all',
+        search: '', // Search box query - not persisted
         rateLimitState: {
             lastRequestTime: 0,
             remainingRequests: CONFIG.REQUESTS_PER_MINUTE,
@@ -67,7 +90,9 @@
         updateAvailable: false, // Track update availability persistently
         logs: [], // Activity logs
         autoRefreshOnStart: false, // Auto-refresh feeds when app opens (cold start)
-        refreshOnPageReload: false // Refresh feeds when page is refreshed
+        refreshOnPageReload: false, // Refresh feeds when page is refreshed
+        backgroundRefresh: true, // Let the service worker refresh feeds while the app is closed
+        prefetchComments: false // Save comments for the top posts of each feed after every sync
     };
     
     function addLog(message, type = 'info') {
@@ -107,6 +132,7 @@
     // Processing lock to prevent race conditions
     let processingLock = false;
     let processingLockTimeout = null;
+    // Jobs in flight across all sync workers - what the queue indicator shows as syncing
     let activeJobs = 0;
 
     // Toast registry to prevent memory leaks
@@ -137,8 +163,20 @@
         );
     }
 
-    function resetFeedPagination(feedType) {
-        state.feeds[feedType].currentPage = 1;
+    // Pages shown so far in a feed - custom feeds keep theirs in customFeedPages
+    function getFeedPage(feedKey) {
+        const custom = getCustomFeed(feedKey);
+        return (custom ? customFeedPages.get(custom.id) : state.feeds[feedKey].currentPage) || 1;
+    }
+
+    function setFeedPage(feedKey, page) {
+        const custom = getCustomFeed(feedKey);
+        if (custom) customFeedPages.set(custom.id, page);
+        else state.feeds[feedKey].currentPage = page;
+    }
+
+    function resetFeedPagination(feedKey) {
+        setFeedPage(feedKey, 1);
     }
 
     function updateAllViews() {
@@ -158,6 +196,8 @@
     function getJobDisplayName(job) {
         if (job.type === 'fetch_popular') return 'Popular';
         if (job.type === 'fetch_subreddit') return `r/${job.subreddit}`;
+        if (job.type === 'fetch_comments') return `comments in r/${job.subreddit}`;
+        if (job.type === 'refresh_starred') return 'starred posts';
         return job.type;
     }
 
@@ -169,59 +209,567 @@
     }
 
     // ============================================================================
-    // LOCAL STORAGE - Unified & Robust
+    // INDEXEDDB - Posts, pending posts, starred posts and sync queue
     // ============================================================================
-    function loadState() {
-        try {
-            const saved = localStorage.getItem('appState');
-            if (saved) {
-                const parsed = JSON.parse(saved);
-                
-                // Merge with defaults
-                state.feeds.my.posts = parsed.cachedPosts || [];
-                state.feeds.popular.posts = parsed.popularPosts || [];
-                state.feeds.starred.posts = parsed.bookmarkedPosts || [];
-                state.subreddits = parsed.subreddits || [];
-                state.blocked = parsed.blockedSubreddits || [];
-                state.blockedUsers = parsed.blockedUsers || [];
-                state.current = parsed.currentFeed || 'my';
-                state.syncQueue = parsed.syncQueue || [];
-                state.updateAvailable = parsed.updateAvailable || false;
-                state.logs = parsed.logs || [];
-                state.autoRefreshOnStart = parsed.autoRefreshOnStart || false;
-                state.refreshOnPageReload = parsed.refreshOnPageReload || false;
-                
-                // Load pending posts
-                state.feeds.my.pending = parsed.myPending || { posts: [], count: 0 };
-                state.feeds.popular.pending = parsed.popularPending || { posts: [], count: 0 };
-                
-                // Load lastFetch tracking
-                state.feeds.my.lastFetch = parsed.myLastFetch || {};
-                state.feeds.popular.lastFetch = parsed.popularLastFetch || {};
-                
-                // Build filtered cache for popular feed
-                rebuildPopularFiltered();
-                
-                // Rate limit state is intentionally not persisted - always reset to fresh on load
-                
-                // Clean up stuck jobs from previous session
-                state.syncQueue = state.syncQueue.map(job => {
-                    if (job.status === 'processing') {
-                        job.status = 'pending';
-                        job.retries = 0;
-                    }
-                    return job;
-                }).filter(job => 
-                    // Remove jobs that failed too many times (older than 24h)
-                    job.status !== 'failed_max_retries' ||
-                    Date.now() - job.timestamp < 24 * 60 * 60 * 1000
+    const { DB_CONFIG } = ENP;
+
+    let db = null; // Stays null if IndexedDB is unavailable - posts then fall back to localStorage
+
+    // Last record written per key, so a save only writes what actually changed
+    // instead of rewriting every post. Posts are compared by reference (they are
+    // replaced, never mutated); jobs are mutated in place so they are compared by JSON.
+    const persisted = {
+        [DB_CONFIG.STORES.POSTS]: new Map(),
+        [DB_CONFIG.STORES.PENDING]: new Map(),
+        [DB_CONFIG.STORES.STARRED]: new Map(),
+        [DB_CONFIG.STORES.QUEUE]: new Map()
+    };
+    let persistedBytes = 0;
+    let persistChain = Promise.resolve();
+
+    function readStore(storeName) {
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Append records whose key isn't already present - the existing ones win
+     */
+    function mergeRecords(existing, incoming) {
+        const keyOf = record => `${record.feed || ''}:${record.id}`;
+        const seen = new Set(existing.map(keyOf));
+        return [...existing, ...incoming.filter(record => {
+            if (seen.has(keyOf(record))) return false;
+            seen.add(keyOf(record));
+            return true;
+        })];
+    }
+
+    /**
+     * Flatten in-memory state into the records each object store should hold
+     * @returns {Object} storeName -> Map of key string -> { key, record, ref }
+     */
+    function collectRecords() {
+        const { POSTS, PENDING, STARRED, QUEUE } = DB_CONFIG.STORES;
+        const records = {
+            [POSTS]: new Map(),
+            [PENDING]: new Map(),
+            [STARRED]: new Map(),
+            [QUEUE]: new Map()
+        };
+
+        ['my', 'popular'].forEach(feed => {
+            state.feeds[feed].posts.forEach(post => {
+                records[POSTS].set(`${feed}:${post.id}`, { key: [feed, post.id], record: { ...post, feed }, ref: post });
+            });
+            state.feeds[feed].pending.posts.forEach(post => {
+                records[PENDING].set(`${feed}:${post.id}`, { key: [feed, post.id], record: { ...post, feed }, ref: post });
+            });
+        });
+
+        state.feeds.starred.posts.forEach(post => {
+            records[STARRED].set(post.id, { key: post.id, record: post, ref: post });
+        });
+
+        state.syncQueue.forEach(job => {
+            records[QUEUE].set(job.id, { key: job.id, record: job, ref: JSON.stringify(job) });
+        });
+
+        return records;
+    }
+
+    /**
+     * Write the difference between in-memory state and the last persisted snapshot
+     * in a single transaction, so a save touches only new, changed or removed records
+     */
+    function persistCollections() {
+        const records = collectRecords();
+        const storeNames = Object.keys(records);
+        const changes = storeNames.map(name => {
+            const previous = persisted[name];
+            const puts = [];
+            const deletes = [];
+
+            records[name].forEach((entry, keyString) => {
+                const prev = previous.get(keyString);
+                if (!prev || prev.ref !== entry.ref) puts.push([keyString, entry]);
+            });
+            previous.forEach((prev, keyString) => {
+                if (!records[name].has(keyString)) deletes.push([keyString, prev]);
+            });
+
+            return { name, puts, deletes };
+        });
+
+        if (changes.every(c => c.puts.length === 0 && c.deletes.length === 0)) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, 'readwrite');
+
+            changes.forEach(({ name, puts, deletes }) => {
+                const store = tx.objectStore(name);
+                puts.forEach(([, entry]) => store.put(entry.record));
+                deletes.forEach(([, prev]) => store.delete(prev.key));
+            });
+
+            tx.oncomplete = () => {
+                // Only advance the snapshot once the write is durable, so a failed
+                // transaction is simply retried by the next save
+                changes.forEach(({ name, puts, deletes }) => {
+                    const snapshot = persisted[name];
+                    puts.forEach(([keyString, entry]) => {
+                        const size = JSON.stringify(entry.record).length * 2;
+                        persistedBytes += size - (snapshot.get(keyString)?.size || 0);
+                        snapshot.set(keyString, { key: entry.key, ref: entry.ref, size });
+                    });
+                    deletes.forEach(([keyString, prev]) => {
+                        persistedBytes -= prev.size;
+                        snapshot.delete(keyString);
+                    });
+                });
+                resolve();
+            };
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    // What the service worker needs to refresh feeds on its own - written only
+    // when it changes
+    let persistedSyncSettings = null;
+    function persistSyncSettings() {
+        const record = {
+            key: DB_CONFIG.META_KEYS.SYNC_SETTINGS,
+            subreddits: state.subreddits,
+            backgroundRefresh: state.backgroundRefresh,
+            watchlist: state.watchlist,
+            popularRegion: state.popularRegion
+        };
+        const json = JSON.stringify(record);
+        if (json === persistedSyncSettings) return Promise.resolve();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(DB_CONFIG.META_STORE, 'readwrite');
+            tx.objectStore(DB_CONFIG.META_STORE).put(record);
+            tx.oncomplete = () => {
+                persistedSyncSettings = json;
+                resolve();
+            };
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    /**
+     * Read and delete a record the service worker left while the app was closed
+     * @returns {Promise<Object|null>}
+     */
+    function takeMetaRecord(key) {
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(DB_CONFIG.META_STORE, 'readwrite');
+            const store = tx.objectStore(DB_CONFIG.META_STORE);
+            const request = store.get(key);
+            let record = null;
+            request.onsuccess = () => {
+                if (request.result) {
+                    record = request.result;
+                    store.delete(key);
+                }
+            };
+            tx.oncomplete = () => resolve(record);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    /**
+     * Bring in what background syncs found: their entries in the activity log, how
+     * far each feed got (so backfill starts from there) and subreddits Reddit
+     * refused
+     */
+    async function takeBackgroundResults() {
+        const log = await takeMetaRecord(DB_CONFIG.META_KEYS.BACKGROUND_LOG);
+        if (log && log.entries.length > 0) {
+            state.logs = [...log.entries, ...state.logs].slice(0, 20);
+            debouncedSave();
+        }
+        
+        const results = await takeMetaRecord(DB_CONFIG.META_KEYS.BACKGROUND_STATE);
+        if (!results) return;
+        for (const feedType of ['my', 'popular']) {
+            const lastFetch = state.feeds[feedType].lastFetch;
+            for (const [key, newest] of Object.entries(results.lastFetch[feedType] || {})) {
+                lastFetch[key] = Math.max(lastFetch[key] || 0, newest);
+            }
+        }
+        for (const [name, status] of Object.entries(results.unavailable)) {
+            setSubredditStatus(name, status);
+        }
+        debouncedSave();
+    }
+
+    /**
+     * Read every object store
+     * @returns {Promise<Object>} storeName -> array of records
+     */
+    async function readCollections() {
+        const names = Object.values(DB_CONFIG.STORES);
+        const results = await Promise.all(names.map(readStore));
+        return Object.fromEntries(names.map((name, i) => [name, results[i]]));
+    }
+
+    /**
+     * Serialize in-memory state to the same shape readCollections() returns
+     */
+    function serializeCollections() {
+        const records = collectRecords();
+        return Object.fromEntries(Object.keys(records).map(name =>
+            [name, [...records[name].values()].map(entry => entry.record)]
+        ));
+    }
+
+    function applyCollections(collections) {
+        const { POSTS, PENDING, STARRED, QUEUE } = DB_CONFIG.STORES;
+        const byFeed = (records, feed) => (records || [])
+            .filter(r => r.feed === feed)
+            .map(({ feed: _feed, ...post }) => post)
+            .sort((a, b) => b.created_utc - a.created_utc);
+
+        state.feeds.my.posts = byFeed(collections[POSTS], 'my');
+        state.feeds.popular.posts = byFeed(collections[POSTS], 'popular');
+        state.feeds.my.pending = { posts: byFeed(collections[PENDING], 'my'), count: 0 };
+        state.feeds.popular.pending = { posts: byFeed(collections[PENDING], 'popular'), count: 0 };
+        state.feeds.my.pending.count = state.feeds.my.pending.posts.length;
+        state.feeds.popular.pending.count = state.feeds.popular.pending.posts.length;
+        state.feeds.starred.posts = [...(collections[STARRED] || [])].sort((a, b) => a.starredAt - b.starredAt);
+        state.syncQueue = [...(collections[QUEUE] || [])].sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    // Record the in-memory state as what is on disk, so the next save writes nothing
+    function seedPersistedSnapshot() {
+        Object.values(persisted).forEach(snapshot => snapshot.clear());
+        persistedBytes = 0;
+        const records = collectRecords();
+        Object.keys(records).forEach(name => {
+            records[name].forEach((entry, keyString) => {
+                const size = JSON.stringify(entry.record).length * 2;
+                persistedBytes += size;
+                persisted[name].set(keyString, { key: entry.key, ref: entry.ref, size });
+            });
+        });
+    }
+
+    /**
+     * Replace the contents of every object store in one transaction - either all
+     * stores end up holding the new records or none of them change
+     */
+    function replaceCollections(collections) {
+        const names = Object.values(DB_CONFIG.STORES);
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(names, 'readwrite');
+            names.forEach(name => {
+                const store = tx.objectStore(name);
+                store.clear();
+                (collections[name] || []).forEach(record => store.put(record));
+            });
+            tx.oncomplete = () => resolve();
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    // ============================================================================
+    // SCHEMA MIGRATIONS - Upgrade persisted data from older versions
+    // ============================================================================
+
+    // Each step upgrades the data read from disk - { settings, collections } - in
+    // place to its version. Steps never touch storage: the runner works on a copy
+    // and nothing is written unless every step succeeds. Append new steps here
+    // whenever the shape of persisted data changes; never edit a released one.
+    const MIGRATIONS = [
+        {
+            version: 1,
+            description: 'add defaults for settings missing from older versions',
+            migrate: ({ settings }) => {
+                const defaults = {
+                    subreddits: [],
+                    blockedSubreddits: [],
+                    blockedUsers: [],
+                    currentFeed: 'my',
+                    myLastFetch: {},
+                    popularLastFetch: {},
+                    updateAvailable: false,
+                    logs: [],
+                    autoRefreshOnStart: false,
+                    refreshOnPageReload: false
+                };
+                Object.entries(defaults).forEach(([key, value]) => {
+                    if (settings[key] === undefined || settings[key] === null) settings[key] = value;
+                });
+            }
+        },
+        {
+            version: 2,
+            description: 'move posts and sync queue out of the settings blob',
+            migrate: ({ settings, collections }) => {
+                const { POSTS, PENDING, STARRED, QUEUE } = DB_CONFIG.STORES;
+                // Records already in IndexedDB (from an interrupted move) win over the blob
+                const merge = (name, records) => {
+                    collections[name] = mergeRecords(collections[name], records);
+                };
+                const withFeed = (posts, feed) => (posts || []).map(post => ({ ...post, feed }));
+                const now = Date.now();
+
+                merge(POSTS, [...withFeed(settings.cachedPosts, 'my'), ...withFeed(settings.popularPosts, 'popular')]);
+                merge(PENDING, [...withFeed(settings.myPending?.posts, 'my'), ...withFeed(settings.popularPending?.posts, 'popular')]);
+                merge(STARRED, (settings.bookmarkedPosts || []).map((post, i) => ({ ...post, starredAt: now + i })));
+                merge(QUEUE, settings.syncQueue || []);
+
+                ['cachedPosts', 'popularPosts', 'bookmarkedPosts', 'myPending', 'popularPending', 'syncQueue']
+                    .forEach(key => delete settings[key]);
+            }
+        },
+        {
+            version: 3,
+            description: 'turn on background refresh',
+            migrate: ({ settings }) => {
+                if (typeof settings.backgroundRefresh !== 'boolean') settings.backgroundRefresh = true;
+            }
+        },
+        {
+            version: 4,
+            description: 'add comment prefetch setting',
+            migrate: ({ settings }) => {
+                if (typeof settings.prefetchComments !== 'boolean') settings.prefetchComments = false;
+            }
+        },
+        {
+            version: 5,
+            description: 'add mute rules',
+            migrate: ({ settings }) => {
+                if (!Array.isArray(settings.muteRules)) settings.muteRules = [];
+            }
+        },
+        {
+            version: 6,
+            description: 'add watchlist',
+            migrate: ({ settings }) => {
+                if (!Array.isArray(settings.watchlist)) settings.watchlist = [];
+            }
+        },
+        {
+            version: 7,
+            description: 'add read tracking',
+            migrate: ({ settings }) => {
+                if (!settings.readPosts || typeof settings.readPosts !== 'object') settings.readPosts = {};
+                if (typeof settings.hideRead !== 'boolean') settings.hideRead = false;
+            }
+        },
+        {
+            version: 8,
+            description: 'add a listing sort to each followed subreddit and a feed order',
+            migrate: ({ settings }) => {
+                settings.subreddits = (settings.subreddits || []).map(sub =>
+                    typeof sub === 'string' ? { name: sub, sort: 'hot' } : sub
                 );
+                if (!Object.hasOwn(FEED_ORDERS, settings.feedOrder)) settings.feedOrder = 'newest';
+            }
+        },
+        {
+            version: 9,
+            description: 'add custom feeds',
+            migrate: ({ settings }) => {
+                if (!Array.isArray(settings.customFeeds)) settings.customFeeds = [];
+            }
+        },
+        {
+            version: 10,
+            description: 'add Popular region',
+            migrate: ({ settings }) => {
+                if (!Object.hasOwn(ENP.POPULAR_REGIONS, settings.popularRegion)) settings.popularRegion = 'GLOBAL';
+            }
+        }
+    ];
+
+    const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+    /**
+     * Run every migration newer than the data's schemaVersion, in order
+     * @param {Object} data - { settings, collections } as read from disk
+     * @returns {Object|null} Upgraded copy of the data (the input itself if already
+     *          current), or null if a step failed and the data was left untouched
+     */
+    function runMigrations(data) {
+        const from = data.settings.schemaVersion || 0;
+        const steps = MIGRATIONS.filter(m => m.version > from);
+
+        if (from > SCHEMA_VERSION) {
+            addLog(`Saved data is from a newer version (v${from}) - update the app to use it`, 'error');
+            return null;
+        }
+        if (steps.length === 0) return data;
+
+        const working = JSON.parse(JSON.stringify(data));
+
+        for (const step of steps) {
+            try {
+                step.migrate(working);
+                working.settings.schemaVersion = step.version;
+                addLog(`Migrated saved data to v${step.version}: ${step.description}`, 'info');
+            } catch (error) {
+                console.error(`Migration to v${step.version} failed:`, error);
+                addLog(`Migration to v${step.version} failed (${error.message}) - saved data left at v${from}`, 'error');
+                return null;
+            }
+        }
+
+        return working;
+    }
+
+    /**
+     * Write migrated data back to disk. IndexedDB is replaced atomically first;
+     * if the settings blob then fails to save, IndexedDB is restored as well.
+     */
+    async function commitMigratedData(original, migrated) {
+        if (db) {
+            await replaceCollections(migrated.collections);
+            try {
+                localStorage.setItem('appState', JSON.stringify(migrated.settings));
+            } catch (error) {
+                await replaceCollections(original.collections);
+                throw error;
             }
+        } else {
+            localStorage.setItem('appState', JSON.stringify({ ...migrated.settings, collections: migrated.collections }));
+        }
+    }
+
+    // ============================================================================
+    // PERSISTENCE - Settings in localStorage, posts in IndexedDB
+    // ============================================================================
+
+    // Off until saved data has been loaded, so nothing overwrites it with defaults -
+    // and stays off if that data could not be migrated
+    let persistenceEnabled = false;
+
+    async function loadState() {
+        let settings = {};
+        let collections = Object.fromEntries(Object.values(DB_CONFIG.STORES).map(name => [name, []]));
+
+        try {
+            const saved = localStorage.getItem('appState');
+            if (saved) settings = JSON.parse(saved);
         } catch (error) {
             console.error('Error loading state:', error);
             showToast('Failed to load saved data', { type: 'warning' });
         }
-        
+
+        // Logs never change shape, so load them first for migrations to log into
+        state.logs = Array.isArray(settings.logs) ? settings.logs : [];
+
+        try {
+            db = await ENP.openDatabase(() => { db = null; });
+        } catch (error) {
+            console.error('Could not open IndexedDB:', error);
+            addLog('IndexedDB unavailable - storing posts in localStorage (4MB cap)', 'warning');
+        }
+
+        if (db) {
+            try {
+                collections = await readCollections();
+            } catch (error) {
+                // Posts already in IndexedDB are left alone until it works again
+                console.error('Error loading posts from IndexedDB:', error);
+                addLog('IndexedDB failed - storing posts in localStorage for this session', 'error');
+                db = null;
+            }
+        }
+
+        // Posts saved to the blob during a session without IndexedDB
+        let movedFromBlob = false;
+        if (settings.collections) {
+            if (db) {
+                Object.keys(collections).forEach(name => {
+                    collections[name] = mergeRecords(collections[name], settings.collections[name] || []);
+                });
+                movedFromBlob = true;
+            } else {
+                collections = { ...collections, ...settings.collections };
+            }
+            delete settings.collections;
+        }
+
+        const original = { settings, collections };
+        const data = runMigrations(original);
+
+        if (!data) {
+            showToast('Saved data could not be upgraded. Changes will not be saved until the app is updated.', { type: 'error', duration: 0 });
+            return;
+        }
+
+        if (data !== original || movedFromBlob) {
+            try {
+                await commitMigratedData(original, data);
+            } catch (error) {
+                console.error('Error saving migrated data:', error);
+                addLog(`Could not save upgraded data (${error.message}) - rolled back to v${settings.schemaVersion || 0}`, 'error');
+                showToast('Saved data could not be upgraded. Changes will not be saved until the app is updated.', { type: 'error', duration: 0 });
+                return;
+            }
+        }
+
+        state.subreddits = data.settings.subreddits;
+        state.blocked = data.settings.blockedSubreddits;
+        state.blockedUsers = data.settings.blockedUsers;
+        state.muteRules = data.settings.muteRules;
+        state.watchlist = data.settings.watchlist;
+        state.hideRead = data.settings.hideRead;
+        state.feedOrder = data.settings.feedOrder;
+        state.customFeeds = data.settings.customFeeds;
+        state.popularRegion = data.settings.popularRegion;
+        loadReadState(data.settings.readPosts);
+        state.current = data.settings.currentFeed;
+        state.updateAvailable = data.settings.updateAvailable;
+        state.autoRefreshOnStart = data.settings.autoRefreshOnStart;
+        state.refreshOnPageReload = data.settings.refreshOnPageReload;
+        state.backgroundRefresh = data.settings.backgroundRefresh;
+        state.prefetchComments = data.settings.prefetchComments;
+
+        // Load lastFetch tracking
+        state.feeds.my.lastFetch = data.settings.myLastFetch;
+        state.feeds.popular.lastFetch = data.settings.popularLastFetch;
+
+        // Rate limit state is intentionally not persisted - always reset to fresh on load
+
+        applyCollections(data.collections);
+        if (db) seedPersistedSnapshot();
+        persistenceEnabled = true;
+
+        if (db) {
+            try {
+                await takeBackgroundResults();
+            } catch (error) {
+                console.error('Error reading background sync results:', error);
+            }
+        }
+
+        // Build filtered cache for popular feed
+        rebuildPopularFiltered();
+
+        // Clean up stuck jobs from previous session
+        state.syncQueue = state.syncQueue.map(job => {
+            if (job.status === 'processing') {
+                job.status = 'pending';
+                job.retries = 0;
+            }
+            return job;
+        }).filter(job =>
+            // Remove jobs that failed too many times (older than 24h)
+            job.status !== 'failed_max_retries' ||
+            Date.now() - job.timestamp < 24 * 60 * 60 * 1000
+        );
+
         // Validate and clean up sync queue
         validateSyncQueue();
     }
@@ -259,76 +807,107 @@
         }
     }
 
-    function saveState() {
-        // Build save object outside try/catch so it's accessible in catch block
-        const toSave = {
-            cachedPosts: state.feeds.my.posts,
-            popularPosts: state.feeds.popular.posts,
-            bookmarkedPosts: state.feeds.starred.posts,
+    function buildSaveData() {
+        const data = {
+            schemaVersion: SCHEMA_VERSION,
             subreddits: state.subreddits,
             blockedSubreddits: state.blocked,
             blockedUsers: state.blockedUsers,
+            muteRules: state.muteRules,
+            watchlist: state.watchlist,
+            hideRead: state.hideRead,
+            feedOrder: state.feedOrder,
+            customFeeds: state.customFeeds,
+            popularRegion: state.popularRegion,
+            readPosts: serializeReadState(),
             currentFeed: state.current,
             // Intentionally NOT saving rateLimitState - it's ephemeral, no need to persist
-            syncQueue: state.syncQueue,
-            myPending: state.feeds.my.pending,
-            popularPending: state.feeds.popular.pending,
             myLastFetch: state.feeds.my.lastFetch,
             popularLastFetch: state.feeds.popular.lastFetch,
             updateAvailable: state.updateAvailable,
             logs: state.logs,
             autoRefreshOnStart: state.autoRefreshOnStart,
-            refreshOnPageReload: state.refreshOnPageReload
+            refreshOnPageReload: state.refreshOnPageReload,
+            backgroundRefresh: state.backgroundRefresh,
+            prefetchComments: state.prefetchComments
         };
 
-        try {
-            localStorage.setItem('appState', JSON.stringify(toSave));
+        // Without IndexedDB, posts and the queue have to share the localStorage blob
+        if (!db) {
+            data.collections = serializeCollections();
+        }
 
-            // Proactive cleanup if approaching limit (85%), but only if cleanup
-            // isn't already running (which would mean we're inside a cleanup→save cycle).
-            const percent = getStorageUsagePercent();
-            if (percent >= 85 && !cleanupOldPosts.running) {
-                console.log(`Storage at ${percent.toFixed(1)}% - triggering proactive cleanup`);
-                cleanupOldPosts();
-                // Save again now that posts have been trimmed from memory
-                localStorage.setItem('appState', JSON.stringify(toSave));
-            }
+        return data;
+    }
 
-            return true;
+    function saveState() {
+        if (!persistenceEnabled) return false;
+
+        try {
+            localStorage.setItem('appState', JSON.stringify(buildSaveData()));
         } catch (error) {
             console.error('Error saving state:', error);
-            if (error.name === 'QuotaExceededError') {
-                addLog('Storage full - cleaning up old posts', 'warning');
-                cleanupOldPosts();
-                // Rebuild toSave after cleanup so it reflects the trimmed arrays,
-                // then attempt the save again
-                try {
-                    const trimmedSave = {
-                        cachedPosts: state.feeds.my.posts,
-                        popularPosts: state.feeds.popular.posts,
-                        bookmarkedPosts: state.feeds.starred.posts,
-                        subreddits: state.subreddits,
-                        blockedSubreddits: state.blocked,
-                        blockedUsers: state.blockedUsers,
-                        currentFeed: state.current,
-                        syncQueue: state.syncQueue,
-                        myPending: state.feeds.my.pending,
-                        popularPending: state.feeds.popular.pending,
-                        myLastFetch: state.feeds.my.lastFetch,
-                        popularLastFetch: state.feeds.popular.lastFetch,
-                        updateAvailable: state.updateAvailable,
-                        logs: state.logs,
-                        autoRefreshOnStart: state.autoRefreshOnStart,
-                        refreshOnPageReload: state.refreshOnPageReload
-                    };
-                    localStorage.setItem('appState', JSON.stringify(trimmedSave));
-                    return true;
-                } catch (e) {
-                    addLog('Unable to free enough storage space', 'error');
-                    return false;
-                }
+            if (error.name !== 'QuotaExceededError') return false;
+
+            addLog('Storage full - cleaning up old posts', 'warning');
+            cleanupOldPosts();
+            // Rebuild the save data after cleanup so it reflects the trimmed arrays,
+            // then attempt the save again
+            try {
+                localStorage.setItem('appState', JSON.stringify(buildSaveData()));
+            } catch (e) {
+                addLog('Unable to free enough storage space', 'error');
+                return false;
             }
-            return false;
+        }
+
+        if (db) {
+            persistChain = persistChain
+                .then(persistCollections)
+                .then(persistSyncSettings)
+                .catch(error => {
+                    console.error('Error saving posts:', error);
+                    if (error && error.name === 'QuotaExceededError' && !cleanupOldPosts.running) {
+                        addLog('Storage full - cleaning up old posts', 'warning');
+                        cleanupOldPosts();
+                        return persistCollections().catch(() => {
+                            addLog('Unable to free enough storage space', 'error');
+                        });
+                    }
+                })
+                .then(checkStorageThreshold);
+        } else {
+            checkStorageThreshold();
+        }
+
+        return true;
+    }
+
+    /**
+     * Save and wait until IndexedDB has it too, for changes that must be saved
+     * whole or undone (imports). Unlike saveState, never deletes posts to make
+     * room when storage is full.
+     * @throws {Error} When any part couldn't be written
+     */
+    async function saveStateStrict() {
+        if (!persistenceEnabled) return;
+        
+        localStorage.setItem('appState', JSON.stringify(buildSaveData()));
+        if (!db) return;
+        
+        const write = persistChain.then(persistCollections).then(persistSyncSettings);
+        persistChain = write.catch(() => {});
+        await write;
+    }
+
+    // Proactive cleanup if approaching limit (85%), but only if cleanup isn't
+    // already running (which would mean we're inside a cleanup→save cycle).
+    function checkStorageThreshold() {
+        const percent = getStorageUsagePercent();
+        if (percent >= 85 && !cleanupOldPosts.running) {
+            console.log(`Storage at ${percent.toFixed(1)}% - triggering proactive cleanup`);
+            // Save again now that posts have been trimmed from memory
+            if (cleanupOldPosts() > 0) saveState();
         }
     }
 
@@ -372,18 +951,24 @@
             toast.id = toastId;
             toast.className = 'update-toast';
             
-            const actionsHtml = actions.map(action => 
-                `<button class="toast-action" onclick="window.${action.onClick}">${action.label}</button>`
+            const actionsHtml = actions.map((action, i) => 
+                `<button class="toast-action" data-index="${i}">${esc(action.label)}</button>`
             ).join('');
             
             toast.innerHTML = `
                 <div class="toast-content">
-                    <span class="toast-message">${message}</span>
+                    <span class="toast-message">${esc(message)}</span>
                     ${actionsHtml}
-                    <button class="toast-close" onclick="window.dismissToast('${toast.id}')">×</button>
+                    <button class="toast-close">×</button>
                 </div>
             `;
             
+            // Actions are { label, onClick } with onClick a function
+            toast.querySelectorAll('.toast-action').forEach(button => {
+                button.addEventListener('click', () => actions[button.dataset.index].onClick());
+            });
+            toast.querySelector('.toast-close').addEventListener('click', () => dismissToast(toastId));
+            
             document.body.appendChild(toast);
             setTimeout(() => toast.classList.add('visible'), CONFIG.TOAST_ANIMATION_DELAY);
             
@@ -417,7 +1002,7 @@
         return toast;
     }
 
-    window.dismissToast = function(toastId) {
+    function dismissToast(toastId) {
         if (activeToasts.has(toastId)) {
             const { element, timeout } = activeToasts.get(toastId);
             if (timeout) clearTimeout(timeout);
@@ -431,7 +1016,7 @@
                 state.newPostsToast = null;
             }
         }
-    };
+    }
 
     // Cleanup on page unload
     window.addEventListener('beforeunload', () => {
@@ -450,7 +1035,7 @@
         dialog.className = 'confirm-dialog-overlay';
         dialog.innerHTML = `
             <div class="confirm-dialog">
-                <div class="confirm-message">${message}</div>
+                <div class="confirm-message"></div>
                 <div class="confirm-actions">
                     <button class="confirm-btn cancel">Cancel</button>
                     <button class="confirm-btn confirm">Confirm</button>
@@ -458,6 +1043,7 @@
             </div>
         `;
         
+        dialog.querySelector('.confirm-message').textContent = message;
         document.body.appendChild(dialog);
         
         const cleanup = () => {
@@ -477,66 +1063,74 @@
         setTimeout(() => dialog.classList.add('visible'), CONFIG.TOAST_ANIMATION_DELAY);
     }
 
-    function stripPostData(post) {
-        const result = {
-            id: post.id,
-            title: post.title,
-            author: post.author,
-            subreddit: post.subreddit,
-            permalink: post.permalink,
-            created_utc: post.created_utc,
-            ups: post.ups,
-            num_comments: post.num_comments,
-            selftext: post.selftext || '',
-            url: post.url || '',
-            is_video: post.is_video || false
-        };
-
-        // Gallery images - use 640px preview resolution
-        if (post.gallery_data && post.media_metadata) {
-            result.gallery = post.gallery_data.items.map(item => {
-                const media = post.media_metadata[item.media_id];
-                if (media && media.p) {
-                    // Use preview resolutions around 640px width
-                    const resolutions = media.p;
-                    const mediumRes = resolutions.find(r => r.x >= CONFIG.IMAGE_MIN_WIDTH && r.x <= CONFIG.IMAGE_MAX_WIDTH) || 
-                                     resolutions[resolutions.length - 1];
-                    if (mediumRes && mediumRes.u) {
-                        return mediumRes.u.replace(/&amp;/g, '&');
-                    }
-                }
-                // Fallback to source
-                if (media && media.s && media.s.u) {
-                    return media.s.u.replace(/&amp;/g, '&');
+    /**
+     * Ask for a passphrase
+     * @param {string} message
+     * @param {Object} [options]
+     * @param {boolean} [options.confirm] - Ask twice and require a minimum length,
+     *     for choosing a new passphrase
+     * @param {string} [options.error] - Shown under the field, e.g. after a wrong one
+     * @returns {Promise<string|null>} null if cancelled
+     */
+    function askPassphrase(message, { confirm = false, error = '' } = {}) {
+        return new Promise(resolve => {
+            const dialog = document.createElement('div');
+            dialog.className = 'confirm-dialog-overlay';
+            dialog.innerHTML = `
+                <form class="confirm-dialog">
+                    <div class="confirm-message"></div>
+                    <input type="password" class="confirm-input" autocomplete="${confirm ? 'new-password' : 'current-password'}" placeholder="Passphrase" />
+                    ${confirm ? '<input type="password" class="confirm-input" autocomplete="new-password" placeholder="Repeat passphrase" />' : ''}
+                    <div class="confirm-error"></div>
+                    <div class="confirm-actions">
+                        <button type="button" class="confirm-btn cancel">Cancel</button>
+                        <button type="submit" class="confirm-btn confirm">OK</button>
+                    </div>
+                </form>
+            `;
+            
+            dialog.querySelector('.confirm-message').textContent = message;
+            const errorEl = dialog.querySelector('.confirm-error');
+            errorEl.textContent = error;
+            const [input, repeat] = dialog.querySelectorAll('.confirm-input');
+            document.body.appendChild(dialog);
+            
+            const close = (value) => {
+                dialog.classList.remove('visible');
+                setTimeout(() => dialog.remove(), CONFIG.DIALOG_FADE_DURATION);
+                resolve(value);
+            };
+            
+            dialog.querySelector('.cancel').onclick = () => close(null);
+            dialog.querySelector('form').onsubmit = (e) => {
+                e.preventDefault();
+                const passphrase = input.value;
+                if (!passphrase) {
+                    errorEl.textContent = 'Enter a passphrase';
+                } else if (confirm && passphrase.length < CONFIG.BACKUP_PASSPHRASE_MIN) {
+                    errorEl.textContent = `Use at least ${CONFIG.BACKUP_PASSPHRASE_MIN} characters`;
+                } else if (confirm && passphrase !== repeat.value) {
+                    errorEl.textContent = "The passphrases don't match";
+                } else {
+                    close(passphrase);
                 }
-                return null;
-            }).filter(Boolean);
-        } else if (post.preview?.images?.[0]) {
-            // Use preview resolution around 640px width
-            const preview = post.preview.images[0];
-            const resolutions = preview.resolutions || [];
-            const mediumRes = resolutions.find(r => r.width >= CONFIG.IMAGE_MIN_WIDTH && r.width <= CONFIG.IMAGE_MAX_WIDTH) || 
-                             resolutions[resolutions.length - 1] ||
-                             preview.source;
-            if (mediumRes && mediumRes.url) {
-                result.gallery = [mediumRes.url.replace(/&amp;/g, '&')];
-            }
-        }
-
-        // Video
-        if (post.is_video && post.media?.reddit_video) {
-            const videoData = post.media.reddit_video;
-            result.video_url = videoData.fallback_url || videoData.dash_url;
-            // Reddit DASH videos have separate audio - construct audio URL
-            if (videoData.fallback_url) {
-                // Audio is typically at DASH_AUDIO.mp4 or DASH_audio.mp4
-                result.audio_url = videoData.fallback_url.replace(/DASH_\d+\.mp4/, 'DASH_AUDIO.mp4');
-            }
-        }
-
-        return result;
+            };
+            dialog.onclick = (e) => {
+                if (e.target === dialog) close(null);
+            };
+            
+            setTimeout(() => {
+                dialog.classList.add('visible');
+                input.focus();
+            }, CONFIG.TOAST_ANIMATION_DELAY);
+        });
     }
 
+    /**
+     * Token bucket shared by every sync worker. A caller claims its token and its
+     * start slot synchronously, before awaiting, so concurrent jobs can never all
+     * see the same free slot - requests stay REQUEST_INTERVAL apart however many run.
+     */
     async function waitForRateLimit() {
         while (true) {
             const now = Date.now();
@@ -549,16 +1143,16 @@
                 // No save needed - rate limit state is intentionally ephemeral
             }
             
-            // Check if we can proceed
+            // Claim a token and the next free start slot
             if (state.rateLimitState.remainingRequests > 0) {
-                const timeSinceLastRequest = now - state.rateLimitState.lastRequestTime;
-                if (timeSinceLastRequest >= CONFIG.REQUEST_INTERVAL) {
-                    return; // OK to proceed
-                }
+                const slot = Math.max(now, state.rateLimitState.lastRequestTime + CONFIG.REQUEST_INTERVAL);
+                state.rateLimitState.lastRequestTime = slot;
+                state.rateLimitState.remainingRequests--;
+                state.rateLimitState.requestCount++;
                 
-                // Wait for minimum interval
-                const waitTime = CONFIG.REQUEST_INTERVAL - timeSinceLastRequest;
-                await new Promise(resolve => setTimeout(resolve, waitTime));
+                if (slot > now) {
+                    await new Promise(resolve => setTimeout(resolve, slot - now));
+                }
                 return;
             }
             
@@ -572,37 +1166,69 @@
     // ============================================================================
     // SYNC QUEUE - Improved with better parallelization
     // ============================================================================
-    function queueSyncJob(type, subreddit = null) {
+    function queueSyncJob(type, subreddit = null, postId = null) {
         // Check for duplicate
-        const isDuplicate = state.syncQueue.some(job => 
-            job.type === type && 
-            job.subreddit === subreddit &&
-            job.status !== 'completed' &&
-            job.status !== 'failed_max_retries'
-        );
-        
-        if (isDuplicate) {
-            console.log(`Job already queued: ${type}/${subreddit || 'N/A'}`);
+        if (ENP.isDuplicateJob(state.syncQueue, type, subreddit, postId)) {
+            console.log(`Job already queued: ${type}/${postId || subreddit || 'N/A'}`);
             return null;
         }
         
-        const job = {
-            id: `${type}-${subreddit || 'popular'}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-            type,
-            subreddit,
-            status: 'pending',
-            retries: 0,
-            timestamp: Date.now(),
-            startTime: null
-        };
+        const job = ENP.createSyncJob(type, subreddit, postId);
         
         state.syncQueue.push(job);
         debouncedSave();
         
+        // Offline: let the service worker drain the queue once the connection is
+        // back, even if the app has been closed by then
+        if (!navigator.onLine) requestBackgroundSync();
+        
         console.log(`Queued job: ${job.id}`);
         return job;
     }
 
+    // Queue a fetch for every followed subreddit that can be fetched plus Popular,
+    // and an update of starred posts (which have usually dropped out of the listings)
+    function queueFullRefresh() {
+        state.subreddits.filter(ENP.isRefreshableSubreddit).forEach(sub => {
+            queueSyncJob('fetch_subreddit', sub.name);
+        });
+        queueSyncJob('fetch_popular');
+        if (state.feeds.starred.posts.length > 0) queueSyncJob('refresh_starred');
+    }
+
+    function queueCommentsJob(post) {
+        if (!post.num_comments) return null;
+        return queueSyncJob('fetch_comments', post.subreddit, post.id);
+    }
+
+    /**
+     * Queue comment fetches for starred posts that have none saved and, when
+     * enabled, for the top posts of each feed
+     * @returns {number} Number of jobs queued
+     */
+    function queueCommentJobs() {
+        let queued = 0;
+        const queue = post => {
+            if (queueCommentsJob(post)) queued++;
+        };
+        
+        state.feeds.starred.posts.filter(post => !post.comments).forEach(queue);
+        
+        if (state.prefetchComments) {
+            const now = Date.now();
+            ['my', 'popular'].forEach(feedType => {
+                const feed = state.feeds[feedType];
+                removeDuplicates([...feed.pending.posts, ...feed.posts])
+                    .sort((a, b) => b.ups - a.ups)
+                    .slice(0, CONFIG.COMMENTS_TOP_POSTS)
+                    .filter(post => !post.comments || now - post.comments.fetchedAt > CONFIG.COMMENTS_REFRESH_MS)
+                    .forEach(queue);
+            });
+        }
+        
+        return queued;
+    }
+
     async function processSyncQueue() {
         // Prevent concurrent processing
         if (state.isProcessingQueue) {
@@ -624,47 +1250,20 @@
         if (dot) dot.classList.add('loading');
         
         try {
-            // Process jobs
-            while (state.syncQueue.some(j => j.status === 'pending' || j.status === 'failed')) {
-                // Get next job
-                const job = state.syncQueue.find(j => j.status === 'pending' || j.status === 'failed');
-                
-                if (!job) break;
-                
-                // Check if too many retries
-                if (job.retries >= CONFIG.MAX_RETRIES) {
-                    console.log(`Job ${job.id} exceeded max retries`);
-                    job.status = 'failed_max_retries';
-                    debouncedSave();
-                    continue;
-                }
-                
-                // Start job
-                console.log(`Processing job: ${job.id} (${job.type}/${job.subreddit || 'N/A'})`);
-                job.status = 'processing';
-                job.startTime = Date.now();
-                job.retries++;
-                debouncedSave();
-                updateQueueStatus();
-                updateSyncingStatus(); // Update status during processing
-                
-                // Execute job
-                const result = await executeJob(job);
-                
-                // Update job status
-                if (result.success) {
-                    console.log(`Job ${job.id} completed successfully`);
-                    job.status = 'completed';
-                } else {
-                    console.log(`Job ${job.id} failed: ${result.error}`);
-                    job.status = 'failed';
-                }
-                
-                debouncedSave();
+            // Run up to MAX_CONCURRENT_JOBS workers over the shared queue. Each worker
+            // claims its next job synchronously, so no job is picked up twice.
+            const workerCount = Math.max(1, SYNC_CONFIG.MAX_CONCURRENT_JOBS);
+            await Promise.all(Array.from({ length: workerCount }, () => runSyncWorker()));
+            
+            // Comments go last, once the posts they belong to have been stored
+            await pendingPostsLock;
+            if (queueCommentJobs() > 0) {
+                await Promise.all(Array.from({ length: workerCount }, () => runSyncWorker()));
             }
             
             // Remove completed jobs
-            const completedJobs = state.syncQueue.filter(j => j.status === 'completed');
+            const completedJobs = state.syncQueue.filter(j => j.status === 'completed' && (j.type === 'fetch_subreddit' || j.type === 'fetch_popular'));
+            const completedComments = state.syncQueue.filter(j => j.status === 'completed' && j.type === 'fetch_comments');
             const failedJobs = state.syncQueue.filter(j => j.status === 'failed_max_retries');
             
             state.syncQueue = state.syncQueue.filter(j => 
@@ -675,6 +1274,8 @@
             const myPendingCount = state.feeds.my.pending.count;
             const popPendingCount = state.feeds.popular.pending.count;
             const filteredCount = state.syncStats?.filtered || 0;
+            const updatedCount = state.syncStats?.updated || 0;
+            const removedCount = state.syncStats?.removed || 0;
             
             if (completedJobs.length > 0) {
                 const totalNew = myPendingCount + popPendingCount;
@@ -685,11 +1286,26 @@
                 addLog(logMsg, 'success');
             }
             
+            if (updatedCount > 0) {
+                let logMsg = `Updated ${updatedCount} saved post${updatedCount > 1 ? 's' : ''}`;
+                if (removedCount > 0) {
+                    logMsg += `, ${removedCount} removed upstream`;
+                }
+                addLog(logMsg, 'info');
+            }
+            
+            if (completedComments.length > 0) {
+                addLog(`Saved comments for ${completedComments.length} post${completedComments.length > 1 ? 's' : ''}`, 'success');
+            }
+            
             // Reset sync stats
-            state.syncStats = { filtered: 0 };
+            state.syncStats = { filtered: 0, updated: 0, removed: 0 };
             
             if (failedJobs.length > 0) {
-                const failedNames = failedJobs.map(j => j.type === 'fetch_subreddit' ? `r/${j.subreddit}` : 'Popular').join(', ');
+                const failedNames = failedJobs.map(job => job.type === 'fetch_subreddit' && job.unavailable
+                    ? `${getJobDisplayName(job)} (${SUBREDDIT_STATUS_LABELS[job.unavailable].toLowerCase()})`
+                    : getJobDisplayName(job)
+                ).join(', ');
                 addLog(`Failed: ${failedNames}`, 'error');
             }
             
@@ -702,7 +1318,7 @@
                 state.feeds.my.posts = removeDuplicates(allPosts).sort((a, b) => b.created_utc - a.created_utc);
                 state.feeds.my.pending = { posts: [], count: 0 };
                 saveState();
-                if (state.current === 'my') renderPosts();
+                if (getBaseFeed(state.current) === 'my') renderPosts();
             }
             
             if (state.feeds.popular.posts.length === 0 && state.feeds.popular.pending.posts.length > 0) {
@@ -739,6 +1355,58 @@
         }
     }
 
+    async function runSyncWorker() {
+        while (true) {
+            // Get next job
+            const job = state.syncQueue.find(j => j.status === 'pending' || j.status === 'failed');
+            
+            if (!job) return;
+            
+            // Check if too many retries
+            if (job.retries >= CONFIG.MAX_RETRIES) {
+                console.log(`Job ${job.id} exceeded max retries`);
+                job.status = 'failed_max_retries';
+                debouncedSave();
+                continue;
+            }
+            
+            // Start job
+            console.log(`Processing job: ${job.id} (${job.type}/${job.subreddit || 'N/A'})`);
+            job.status = 'processing';
+            job.startTime = Date.now();
+            job.retries++;
+            activeJobs++;
+            debouncedSave();
+            updateQueueStatus();
+            updateSyncingStatus(); // Update status during processing
+            
+            // Execute job
+            let result;
+            try {
+                result = await executeJob(job);
+            } finally {
+                activeJobs--;
+            }
+            
+            // Update job status
+            if (result.success) {
+                console.log(`Job ${job.id} completed successfully`);
+                job.status = 'completed';
+            } else if (result.unavailable) {
+                // Private, banned or gone - retrying won't help
+                console.log(`Job ${job.id} failed for good: ${result.error}`);
+                job.status = 'failed_max_retries';
+                job.unavailable = result.unavailable;
+            } else {
+                console.log(`Job ${job.id} failed: ${result.error}`);
+                job.status = 'failed';
+            }
+            
+            debouncedSave();
+            updateQueueStatus();
+        }
+    }
+
     async function executeJob(job) {
         try {
             if (job.type === 'fetch_subreddit') {
@@ -747,14 +1415,29 @@
                     addPostsToPending(result.posts, 'my', job.subreddit);
                     return { success: true };
                 }
-                return { success: false, error: result.error };
+                return { success: false, error: result.error, unavailable: result.unavailable };
             } else if (job.type === 'fetch_popular') {
                 const result = await fetchFeedWithRetry('popular', null, job.retries - 1);
                 if (result.posts) {
                     addPostsToPending(result.posts, 'popular', null);
                     return { success: true };
                 }
-                return { success: false, error: result.error };
+                return { success: false, error: result.error, unavailable: result.unavailable };
+            } else if (job.type === 'fetch_comments') {
+                const result = await fetchJsonWithRetry(ENP.buildCommentsUrl(job.postId), job.retries - 1);
+                if (result.data) {
+                    storeComments(job.postId, result.data);
+                    return { success: true };
+                }
+                return { success: false, error: result.error, unavailable: result.unavailable };
+            } else if (job.type === 'refresh_starred') {
+                const ids = state.feeds.starred.posts.map(post => post.id);
+                for (let i = 0; i < ids.length; i += CONFIG.INFO_BATCH_SIZE) {
+                    const result = await fetchJsonWithRetry(ENP.buildInfoUrl(ids.slice(i, i + CONFIG.INFO_BATCH_SIZE)), job.retries - 1);
+                    if (!result.data) return { success: false, error: result.error };
+                    applyPostUpdates(ENP.parseListing(result.data));
+                }
+                return { success: true };
             }
             
             return { success: false, error: 'Unknown job type' };
@@ -769,15 +1452,16 @@
         pendingPostsLock = pendingPostsLock.then(() => {
             const feed = state.feeds[feedType];
             
+            // Posts we already have get their new scores, comment counts and edits
+            applyPostUpdates(posts);
+            
             // Filter out posts older than MAX_POST_AGE_DAYS
-            const now = Date.now() / 1000;
-            const maxAge = CONFIG.MAX_POST_AGE_DAYS * 24 * 60 * 60;
-            const freshPosts = posts.filter(post => (now - post.created_utc) <= maxAge);
+            const freshPosts = posts.filter(post => ENP.isFreshPost(post));
             
             if (freshPosts.length < posts.length) {
                 const filtered = posts.length - freshPosts.length;
                 // Store filtered count to show in sync summary
-                if (!state.syncStats) state.syncStats = { filtered: 0 };
+                if (!state.syncStats) state.syncStats = { filtered: 0, updated: 0, removed: 0 };
                 state.syncStats.filtered += filtered;
                 console.log(`Filtered ${filtered} old posts (>${CONFIG.MAX_POST_AGE_DAYS} days)`);
             }
@@ -799,6 +1483,7 @@
                 }
                 
                 debouncedSave();
+                notifyWatchlistMatches(newPosts);
                 
                 console.log(`✓ Added ${newPosts.length} new posts to ${feedType}${subreddit ? ` (r/${subreddit})` : ''}`);
             } else {
@@ -809,7 +1494,99 @@
         return pendingPostsLock;
     }
 
+    /**
+     * Fetch a feed. Subreddits page through the listing with its `after` cursor
+     * until a page holds nothing newer than the last sync (lastFetch), so a sync
+     * after time offline fills the gap - bounded by the backfill page and post
+     * budgets. Popular is ranked rather than chronological, so it gets one page.
+     * What Reddit says about the subreddit is recorded on it - see setSubredditStatus.
+     * @returns {Promise<{posts: Array|null, error: string|null, unavailable?: string}>}
+     */
     async function fetchFeedWithRetry(feedType, subreddit = null, retryCount = 0) {
+        const sort = subreddit ? findSubreddit(subreddit)?.sort || 'hot' : 'hot';
+        const first = await fetchListingPage(feedType, subreddit, null, retryCount, sort);
+        if (subreddit && (first.posts || first.unavailable)) {
+            setSubredditStatus(subreddit, first.posts ? null : first.unavailable);
+        }
+        if (!first.posts) return first;
+        
+        // Top and rising aren't in date order, so there is no gap to page back to
+        const since = subreddit ? state.feeds.my.lastFetch[subreddit] : undefined;
+        if (feedType === 'popular' || since === undefined || sort === 'top' || sort === 'rising') {
+            return { posts: first.posts, error: null };
+        }
+        
+        const posts = [...first.posts];
+        let page = first;
+        let pages = 1;
+        
+        const hasNewerPosts = listing => listing.posts.some(post =>
+            post.created_utc > since && ENP.isFreshPost(post)
+        );
+        
+        while (page.after && hasNewerPosts(page) &&
+               pages < CONFIG.BACKFILL_MAX_PAGES && posts.length < CONFIG.BACKFILL_MAX_POSTS) {
+            page = await fetchListingPage(feedType, subreddit, page.after, retryCount, sort);
+            if (!page.posts) {
+                // Keep what was fetched - the next sync picks up from there
+                console.warn(`Backfill stopped for r/${subreddit} after ${pages} pages: ${page.error}`);
+                break;
+            }
+            posts.push(...page.posts);
+            pages++;
+        }
+        
+        if (pages > 1) {
+            console.log(`Backfilled r/${subreddit}: ${pages} pages, ${posts.length} posts`);
+        }
+        
+        return { posts: posts.slice(0, CONFIG.BACKFILL_MAX_POSTS), error: null };
+    }
+
+    /**
+     * Fetch one listing page
+     * @param {string|null} after - Cursor from the previous page
+     * @param {string} sort - One of ENP.SUBREDDIT_SORTS
+     * @returns {Promise<{posts: Array|null, after: string|null, error: string|null, unavailable?: string}>}
+     */
+    async function fetchListingPage(feedType, subreddit, after, retryCount, sort) {
+        const url = ENP.buildFeedUrl(feedType, subreddit, after, { sort, region: state.popularRegion });
+        const result = await fetchJsonWithRetry(url, retryCount);
+        if (!result.data) return { posts: null, after: null, error: result.error, unavailable: result.unavailable };
+        
+        return { posts: ENP.parseListing(result.data), after: result.data.data.after || null, error: null };
+    }
+
+    /**
+     * Look a subreddit up on Reddit
+     * @returns {Promise<{name: string, status: string|null}>} The name as Reddit spells
+     *     it, and why it can't be followed (see SUBREDDIT_STATUS_LABELS) or null
+     * @throws {Error} When Reddit couldn't be asked - offline, timeouts, server errors
+     */
+    async function checkSubreddit(name) {
+        await waitForRateLimit();
+        const response = await ENP.fetchWithTimeout(ENP.buildAboutUrl(name));
+        updateRateLimitFromHeaders(response);
+        
+        if (response.status === 403 || response.status === 404) {
+            const body = await response.json().catch(() => null);
+            return { name, status: ENP.getUnavailableReason(response.status, body) };
+        }
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        
+        const body = await response.json();
+        // Unknown names can be redirected to a subreddit search instead of a 404
+        if (!body || body.kind !== 't5' || !body.data) return { name, status: 'not_found' };
+        return { name: body.data.display_name || name, status: body.data.quarantine ? 'quarantined' : null };
+    }
+
+    /**
+     * Fetch a Reddit JSON endpoint through the rate limiter, retrying with backoff.
+     * 403 and 404 aren't retried - asking again won't make a private, banned or
+     * missing subreddit available - and `unavailable` says which it was.
+     * @returns {Promise<{data: Object|null, error: string|null, unavailable?: string}>}
+     */
+    async function fetchJsonWithRetry(url, retryCount = 0) {
         const maxRetries = Math.min(3, CONFIG.MAX_RETRIES - retryCount);
         let lastError = null;
         
@@ -818,28 +1595,10 @@
                 // Wait for rate limit
                 await waitForRateLimit();
                 
-                // Build URL
-                let url;
-                if (feedType === 'popular') {
-                    url = `https://www.reddit.com/r/popular/best.json?limit=${CONFIG.POSTS_LIMIT}&raw_json=1`;
-                } else {
-                    // Subreddit feed
-                    url = `https://www.reddit.com/r/${subreddit}.json?limit=${CONFIG.POSTS_LIMIT}&raw_json=1`;
-                }
-                
-                console.log(`Fetching ${feedType}${subreddit ? `/${subreddit}` : ''}: ${url}`);
+                console.log(`Fetching ${url}`);
                 
                 // Fetch with timeout
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), CONFIG.REQUEST_TIMEOUT);
-                
-                const response = await fetch(url, { signal: controller.signal });
-                clearTimeout(timeoutId);
-                
-                // Update rate limit
-                state.rateLimitState.lastRequestTime = Date.now();
-                state.rateLimitState.remainingRequests = Math.max(0, state.rateLimitState.remainingRequests - 1);
-                state.rateLimitState.requestCount++;
+                const response = await ENP.fetchWithTimeout(url);
                 
                 // Update from headers if available
                 updateRateLimitFromHeaders(response);
@@ -849,19 +1608,20 @@
                     throw new Error('Rate limited');
                 }
                 
+                if (response.status === 403 || response.status === 404) {
+                    const body = await response.json().catch(() => null);
+                    return { data: null, error: `HTTP ${response.status}`, unavailable: ENP.getUnavailableReason(response.status, body) };
+                }
+                
                 if (!response.ok) {
                     throw new Error(`HTTP ${response.status}`);
                 }
                 
-                // Parse and return posts
-                const data = await response.json();
-                const posts = data.data.children.map(child => stripPostData(child.data));
-                
-                return { posts, error: null };
+                return { data: await response.json(), error: null };
                 
             } catch (error) {
                 lastError = error;
-                console.warn(`Fetch attempt ${attempt + 1} failed for ${feedType}/${subreddit}:`, error);
+                console.warn(`Fetch attempt ${attempt + 1} failed for ${url}:`, error);
                 
                 if (attempt < maxRetries) {
                     const delay = SYNC_CONFIG.RETRY_DELAY_MS * Math.pow(2, attempt);
@@ -871,26 +1631,93 @@
             }
         }
         
-        return { posts: null, error: lastError?.message || 'Unknown error' };
+        return { data: null, error: lastError?.message || 'Unknown error' };
+    }
+
+    // ============================================================================
+    // COMMENTS - Trimmed comment trees saved on the post for offline reading
+    // ============================================================================
+
+    /**
+     * Reduce a /comments/{id}.json response to the comment tree we keep: top-level
+     * order preserved, "load more" stubs and childless deleted comments dropped,
+     * capped at COMMENTS_MAX_TOTAL comments
+     */
+    function trimCommentTree(data) {
+        let remaining = CONFIG.COMMENTS_MAX_TOTAL;
+        
+        const trim = (children, depth) => {
+            const result = [];
+            for (const child of children || []) {
+                if (remaining <= 0) break;
+                if (child.kind !== 't1') continue;
+                
+                const c = child.data;
+                remaining--;
+                const replies = depth < CONFIG.COMMENTS_MAX_DEPTH && c.replies
+                    ? trim(c.replies.data?.children, depth + 1)
+                    : [];
+                const removed = c.body === '[deleted]' || c.body === '[removed]';
+                if (removed && replies.length === 0) {
+                    remaining++;
+                    continue;
+                }
+                
+                result.push({
+                    id: c.id,
+                    author: c.author,
+                    body: c.body,
+                    score: c.score,
+                    created_utc: c.created_utc,
+                    replies
+                });
+            }
+            return result;
+        };
+        
+        return trim(data[1]?.data?.children, 0);
+    }
+
+    // Attach the thread to every copy of the post (feeds, pending, starred)
+    function storeComments(postId, data) {
+        const comments = { fetchedAt: Date.now(), tree: trimCommentTree(data) };
+        const withComments = post => post.id === postId ? { ...post, comments } : post;
+        
+        ['my', 'popular', 'starred'].forEach(feedType => {
+            const feed = state.feeds[feedType];
+            feed.posts = feed.posts.map(withComments);
+            if (feed.pending) feed.pending.posts = feed.pending.posts.map(withComments);
+        });
+        rebuildPopularFiltered();
+        debouncedSave();
+        
+        // Refresh the thread if it is open
+        document.querySelectorAll(`.post-comments[data-post-id="${postId}"]`).forEach(container => {
+            if (container.style.display !== 'none') container.innerHTML = getCommentsHTML(comments);
+        });
     }
 
     function updateQueueStatus() {
         const indicator = document.getElementById('queueIndicator');
         if (!indicator) return;
         
-        // Find currently processing job
-        const processing = state.syncQueue.find(j => j.status === 'processing');
+        // Several jobs can be in flight at once
+        const waiting = state.syncQueue.filter(j => j.status === 'pending').length;
         const failed = state.syncQueue.filter(j => j.status === 'failed');
         
-        if (processing) {
-            const feedName = getJobDisplayName(processing);
-            indicator.textContent = `Syncing ${feedName}`;
+        if (activeJobs > 0) {
+            const names = state.syncQueue.filter(j => j.status === 'processing').map(getJobDisplayName);
+            const syncing = activeJobs === 1 && names.length === 1 ? names[0] : `${activeJobs} feed${activeJobs === 1 ? '' : 's'}`;
+            indicator.textContent = `Syncing ${syncing}${waiting > 0 ? ` (+${waiting} queued)` : ''}`;
+            indicator.title = names.join(', ');
             indicator.classList.add('active');
             indicator.classList.remove('warning');
         } else if (failed.length > 0) {
             indicator.textContent = `${failed.length} failed`;
+            indicator.title = failed.map(getJobDisplayName).join(', ');
             indicator.classList.add('active', 'warning');
         } else {
+            indicator.title = '';
             indicator.classList.remove('active', 'warning');
         }
     }
@@ -900,10 +1727,9 @@
         if (!status) return;
         
         // Check if we're syncing and current feed is empty
-        const currentFeed = state.feeds[state.current];
-        const isSyncing = state.isProcessingQueue || state.syncQueue.some(j => 
-            j.status === 'processing' || j.status === 'pending'
-        );
+        const currentFeed = state.feeds[getBaseFeed(state.current)];
+        const isSyncing = state.isProcessingQueue || activeJobs > 0 ||
+            state.syncQueue.some(j => j.status === 'pending');
         
         if (isSyncing && currentFeed.posts.length === 0) {
             status.textContent = 'Fetching new posts...';
@@ -919,9 +1745,14 @@
         const popCount = state.feeds.popular.pending.count;
         const total = myCount + popCount;
         
+        const custom = getCustomFeed(state.current);
+        const customCount = custom ? state.feeds.my.pending.posts.filter(post => inCustomFeed(custom, post)).length : 0;
+        
         let message = '';
         
-        if (state.current === 'my' && myCount > 0) {
+        if (custom && customCount > 0) {
+            message = `${customCount}+ new post${customCount > 1 ? 's' : ''} in ${custom.name}`;
+        } else if (state.current === 'my' && myCount > 0) {
             message = `${myCount}+ new post${myCount > 1 ? 's' : ''}`;
         } else if (state.current === 'popular' && popCount > 0) {
             message = `${popCount}+ new post${popCount > 1 ? 's' : ''}`;
@@ -955,7 +1786,7 @@
             `;
             
             toast.textContent = message;
-            toast.onclick = () => window.applyPendingUpdates();
+            toast.onclick = applyPendingUpdates;
             
             document.body.appendChild(toast);
             
@@ -968,7 +1799,7 @@
         }
     }
 
-    window.applyPendingUpdates = function() {
+    function applyPendingUpdates() {
         // Apply my feed updates
         if (state.feeds.my.pending.posts.length > 0) {
             const allPosts = [...state.feeds.my.pending.posts, ...state.feeds.my.posts];
@@ -1005,7 +1836,17 @@
         window.scrollTo({ top: 0, behavior: 'smooth' });
         
         showToast('Feed updated!', { type: 'success' });
-    };
+    }
+
+    // Look a post up in every feed, pending posts included
+    function findPostById(postId) {
+        return ['my', 'popular', 'starred']
+            .flatMap(feedType => {
+                const feed = state.feeds[feedType];
+                return feed.pending ? [...feed.posts, ...feed.pending.posts] : feed.posts;
+            })
+            .find(post => post.id === postId);
+    }
 
     function removeDuplicates(posts) {
         const seen = new Set();
@@ -1016,6 +1857,61 @@
         });
     }
 
+    /**
+     * Merge fetched copies of posts into every cached copy - feeds, pending and
+     * starred - and refresh the ones on screen
+     * @returns {number} Cached posts that changed
+     */
+    function applyPostUpdates(fetchedPosts) {
+        const fetched = new Map(fetchedPosts.map(post => [post.id, post]));
+        const changed = new Map(); // id -> updated post
+        let removed = 0;
+        
+        const update = post => {
+            const latest = fetched.get(post.id);
+            if (!latest) return post;
+            const merged = ENP.mergePostUpdate(post, latest);
+            if (merged !== post) {
+                if (merged.removed && !post.removed && !changed.has(post.id)) removed++;
+                changed.set(post.id, merged);
+            }
+            return merged;
+        };
+        
+        ['my', 'popular', 'starred'].forEach(feedType => {
+            const feed = state.feeds[feedType];
+            feed.posts = feed.posts.map(update);
+            if (feed.pending) feed.pending.posts = feed.pending.posts.map(update);
+        });
+        
+        if (changed.size === 0) return 0;
+        
+        rebuildPopularFiltered();
+        debouncedSave();
+        changed.forEach(refreshRenderedPost);
+        
+        if (!state.syncStats) state.syncStats = { filtered: 0, updated: 0, removed: 0 };
+        state.syncStats.updated += changed.size;
+        state.syncStats.removed += removed;
+        console.log(`Updated ${changed.size} cached posts${removed > 0 ? ` (${removed} removed upstream)` : ''}`);
+        return changed.size;
+    }
+
+    // Swap in the new header and stats of a post on screen, leaving open comments,
+    // expanded text and playing videos alone
+    function refreshRenderedPost(post) {
+        document.querySelectorAll(`#posts .post[data-post-id="${post.id}"]`).forEach(el => {
+            const isBookmarked = state.feeds.starred.posts.some(p => p.id === post.id);
+            const fresh = document.createElement('template');
+            fresh.innerHTML = templates.postHeader(post, isBookmarked) + templates.postFooter(post);
+            
+            ['.post-header', '.post-footer'].forEach(selector => {
+                const current = el.querySelector(selector);
+                if (current) current.replaceWith(fresh.content.querySelector(selector));
+            });
+        });
+    }
+
     /**
      * Get only new posts that aren't already cached
      * Used for intelligent incremental updates
@@ -1043,7 +1939,7 @@
     // ============================================================================
     // BOOKMARKING SYSTEM
     // ============================================================================
-    window.toggleBookmark = function(postId) {
+    function toggleBookmark(postId) {
         const allPosts = [...state.feeds.my.posts, ...state.feeds.popular.posts];
         const post = allPosts.find(p => p.id === postId);
         if (!post) return;
@@ -1052,108 +1948,396 @@
         
         if (index > -1) {
             showConfirm('Remove this post from your starred posts?', () => {
-                state.feeds.starred.posts.splice(index, 1);
+                const [removed] = state.feeds.starred.posts.splice(index, 1);
+                releasePostMedia(removed);
                 saveState();
                 showToast('Removed from starred posts', { type: 'success' });
                 renderPosts();
             });
         } else {
-            state.feeds.starred.posts.push(post);
+            state.feeds.starred.posts.push({ ...post, starredAt: Date.now() });
             saveState();
             showToast('Added to starred posts', { type: 'success' });
             renderPosts();
+            
+            // Starred posts keep their discussion and images for offline reading
+            if (!post.comments && queueCommentsJob(post) && navigator.onLine) {
+                processSyncQueue();
+            }
+            pinPostMedia(post);
         }
-    };
+    }
 
     // ============================================================================
-    // STORAGE MANAGEMENT - Optimized
+    // STARRED MEDIA - Images of starred posts pinned in their own cache
     // ============================================================================
-    async function initializeStorageQuota() {
-        // Request persistent storage to prevent OS from silently evicting our data.
-        // Only request (and log) once — the result doesn't change between sessions,
-        // and on iOS Safari it always returns false (not supported), so we don't want
-        // to spam the log with a warning the user can't act on.
-        if (navigator.storage && navigator.storage.persist) {
-            try {
-                const alreadyChecked = localStorage.getItem('storagePersistChecked');
-                const granted = await navigator.storage.persist();
-                if (!alreadyChecked) {
-                    localStorage.setItem('storagePersistChecked', '1');
-                    if (granted) {
-                        addLog('Storage persistence granted ✓', 'info');
-                    } else {
-                        // Not granted is normal on iOS Safari — log quietly, just once
-                        addLog('Storage persistence unavailable on this browser (data protected by 4MB cap)', 'info');
-                    }
-                }
-                console.log(`Storage persistence: ${granted ? 'granted' : 'not granted'}`);
-            } catch (e) {
-                console.warn('Could not request storage persistence:', e);
-            }
-        }
 
-        if ('storage' in navigator && 'estimate' in navigator.storage) {
-            try {
-                const estimate = await navigator.storage.estimate();
-                const availableQuota = estimate.quota || state.storageQuota;
-                // Cap at 4MB - localStorage on mobile Safari is capped ~5MB regardless
-                // of what storage.estimate() reports (which reflects IndexedDB/Cache API quota).
-                state.storageQuota = Math.min(availableQuota * 0.8, CONFIG.MAX_SAFE_STORAGE);
-                console.log(`Storage quota: ${formatBytes(state.storageQuota)}`);
-            } catch (error) {
-                console.error('Could not estimate storage:', error);
-            }
-        }
+    // The runtime image cache in sw.js is trimmed by insertion order, so starred
+    // images get a cache of their own that nothing evicts
+    let mediaCacheStats = { count: 0, bytes: 0 };
+
+    // Gallery images - for videos the first one is the thumbnail
+    function getPostMediaUrls(post) {
+        return (post.gallery || []).map(url => new URL(url, location.href).href);
     }
 
-    function getLocalStorageSize() {
-        let total = 0;
-        for (let key in localStorage) {
-            if (localStorage.hasOwnProperty(key)) {
-                total += localStorage[key].length + key.length;
-            }
-        }
-        return total * 2;
+    // Video and audio tracks, only once the user has saved the video offline
+    function getSavedVideoUrls(post) {
+        if (!post.savedVideo) return [];
+        return [post.video_url, post.savedVideo.audio ? post.audio_url : null]
+            .filter(Boolean)
+            .map(url => new URL(url, location.href).href);
     }
 
-    function getStorageUsagePercent() {
-        return (getLocalStorageSize() / state.storageQuota) * 100;
+    function getSavedVideoBytes() {
+        return state.feeds.starred.posts.reduce((sum, post) => sum + (post.savedVideo?.bytes || 0), 0);
     }
 
-    function formatBytes(bytes) {
-        if (bytes < 1024) return bytes + ' B';
-        if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
-        return (bytes / (1024 * 1024)).toFixed(2) + ' MB';
+    // Hosts without CORS headers are skipped rather than cached no-cors: opaque
+    // responses can't be measured, and Chrome charges several MB of quota for each,
+    // enough to push the app over CLEANUP_THRESHOLD and cost it cached posts
+    async function cacheMedia(cache, url) {
+        const response = await ENP.fetchWithTimeout(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        await cache.put(url, response);
     }
 
-    function cleanupOldPosts() {
-        // Prevent recursive cleanup
-        if (cleanupOldPosts.running) {
-            console.log('Cleanup already running, skipping');
+    /**
+     * Download a starred post's images into the media cache
+     */
+    async function pinPostMedia(post) {
+        const urls = getPostMediaUrls(post);
+        if (urls.length === 0 || !('caches' in window) || !navigator.onLine) return;
+        
+        let failed = 0;
+        try {
+            const cache = await caches.open(ENP.MEDIA_CACHE);
+            for (const url of urls) {
+                try {
+                    await cacheMedia(cache, url);
+                } catch (error) {
+                    console.warn(`Could not save image ${url}:`, error);
+                    failed++;
+                }
+            }
+        } catch (error) {
+            console.error('Error opening media cache:', error);
             return;
         }
-        cleanupOldPosts.running = true;
-
-        const currentSize = getLocalStorageSize();
-        const percent = (currentSize / state.storageQuota) * 100;
-        const targetPercent = 70; // Target 70% to give a healthy buffer after cleanup
-
-        console.log(`Storage at ${percent.toFixed(1)}% - cleaning up to ${targetPercent}%`);
-
-        const bookmarkedIds = new Set(state.feeds.starred.posts.map(p => p.id));
-
-        // Calculate average post size using only the post arrays, not total localStorage.
-        // Total localStorage includes settings/logs/queue which would inflate the estimate.
-        const allPostsArr = [...state.feeds.my.posts, ...state.feeds.popular.posts];
-        const totalPosts = allPostsArr.length;
+        
+        if (failed > 0) {
+            addLog(`Saved ${urls.length - failed}/${urls.length} images of starred post in r/${post.subreddit}`, 'warning');
+        }
+        await refreshMediaCacheStats();
+    }
 
-        if (totalPosts === 0) {
-            console.log('No posts to clean up');
-            cleanupOldPosts.running = false;
-            return;
+    /**
+     * Drop an un-starred post's images, unless another starred post uses them
+     */
+    async function releasePostMedia(post) {
+        if (!('caches' in window)) return;
+        
+        const stillUsed = new Set(state.feeds.starred.posts.flatMap(p => [...getPostMediaUrls(p), ...getSavedVideoUrls(p)]));
+        const urls = [...getPostMediaUrls(post), ...getSavedVideoUrls(post)].filter(url => !stillUsed.has(url));
+        if (urls.length === 0) return;
+        
+        try {
+            const cache = await caches.open(ENP.MEDIA_CACHE);
+            await Promise.all(urls.map(url => cache.delete(url)));
+        } catch (error) {
+            console.error('Error releasing starred media:', error);
         }
+        await refreshMediaCacheStats();
+    }
 
-        // Estimate post data size by serialising just the posts portion
+    /**
+     * Bring the media cache in line with the starred posts: fetch images that are
+     * missing (starred while offline, or imported) and drop ones no longer starred
+     */
+    async function syncStarredMedia() {
+        if (!('caches' in window)) return;
+        
+        try {
+            const cache = await caches.open(ENP.MEDIA_CACHE);
+            const wanted = new Set(state.feeds.starred.posts.flatMap(getPostMediaUrls));
+            const videos = new Set(state.feeds.starred.posts.flatMap(getSavedVideoUrls));
+            const requests = await cache.keys();
+            const cached = new Set(requests.map(request => request.url));
+            
+            await Promise.all(requests
+                .filter(request => !wanted.has(request.url) && !videos.has(request.url))
+                .map(request => cache.delete(request)));
+            
+            // Videos are never re-downloaded behind the user's back - if the browser
+            // evicted one, it is simply no longer marked as saved
+            const evicted = state.feeds.starred.posts.filter(post =>
+                getSavedVideoUrls(post).some(url => !cached.has(url))
+            );
+            if (evicted.length > 0) {
+                state.feeds.starred.posts = state.feeds.starred.posts.map(post => {
+                    if (!evicted.includes(post)) return post;
+                    const { savedVideo: _savedVideo, ...rest } = post;
+                    return rest;
+                });
+                addLog(`${evicted.length} saved video${evicted.length > 1 ? 's were' : ' was'} removed by the browser`, 'warning');
+                saveState();
+            }
+            
+            if (navigator.onLine) {
+                for (const url of wanted) {
+                    if (cached.has(url)) continue;
+                    try {
+                        await cacheMedia(cache, url);
+                    } catch (error) {
+                        console.warn(`Could not save image ${url}:`, error);
+                    }
+                }
+            }
+        } catch (error) {
+            console.error('Error syncing starred media:', error);
+        }
+        await refreshMediaCacheStats();
+    }
+
+    async function refreshMediaCacheStats() {
+        const stats = { count: 0, bytes: 0 };
+        const videos = new Set(state.feeds.starred.posts.flatMap(getSavedVideoUrls));
+        try {
+            const cache = await caches.open(ENP.MEDIA_CACHE);
+            for (const request of await cache.keys()) {
+                // Saved videos are counted against their own budget
+                if (videos.has(request.url)) continue;
+                const response = await cache.match(request);
+                stats.count++;
+                stats.bytes += (await response.blob()).size;
+            }
+        } catch (error) {
+            console.error('Error measuring media cache:', error);
+            return;
+        }
+        mediaCacheStats = stats;
+        updateStorageStats();
+    }
+
+    // Size from a HEAD request, or null if the host doesn't say
+    async function getRemoteSize(url) {
+        try {
+            const response = await fetch(url, { method: 'HEAD' });
+            const length = Number(response.headers.get('Content-Length'));
+            return response.ok && length > 0 ? length : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Save a video post's video and audio tracks to the media cache, starring the
+     * post so they are kept. Clicking again on a saved video removes it.
+     */
+    async function saveVideoOffline(postId) {
+        const post = findPostById(postId);
+        if (!post || !post.video_url) return;
+        
+        const starredIndex = state.feeds.starred.posts.findIndex(p => p.id === postId);
+        const starred = state.feeds.starred.posts[starredIndex];
+        
+        if (starred?.savedVideo) {
+            showConfirm('Remove the saved copy of this video? The post stays starred.', async () => {
+                const { savedVideo: _savedVideo, ...rest } = starred;
+                state.feeds.starred.posts[starredIndex] = rest;
+                await releasePostMedia(starred);
+                saveState();
+                renderPosts();
+                showToast('Saved video removed', { type: 'success' });
+            });
+            return;
+        }
+        
+        if (!navigator.onLine) {
+            showToast('You must be online to save videos', { type: 'warning' });
+            return;
+        }
+        if (!('caches' in window)) {
+            showToast('Saving videos is not supported by this browser', { type: 'error' });
+            return;
+        }
+        
+        const [videoSize, audioSize] = await Promise.all([
+            getRemoteSize(post.video_url),
+            post.audio_url ? getRemoteSize(post.audio_url) : 0
+        ]);
+        const knownSize = (videoSize || 0) + (audioSize || 0);
+        const remaining = CONFIG.VIDEO_BUDGET - getSavedVideoBytes();
+        
+        if (knownSize > remaining) {
+            showToast(`Not enough room for this video (${formatBytes(knownSize)}): ${formatBytes(Math.max(0, remaining))} of the ${formatBytes(CONFIG.VIDEO_BUDGET)} video budget left. Remove a saved video first.`, { type: 'error', duration: 6000 });
+            return;
+        }
+        
+        const download = () => downloadVideo(post);
+        if (videoSize === null) {
+            showConfirm('The size of this video is unknown and it may be large. Save it offline?', download);
+        } else if (knownSize > CONFIG.VIDEO_SIZE_WARNING) {
+            showConfirm(`This video is ${formatBytes(knownSize)}. Save it offline?`, download);
+        } else {
+            download();
+        }
+    }
+
+    async function downloadVideo(post) {
+        const toastId = `video-${post.id}`;
+        showToast('Saving video...', { type: 'info', duration: 0, id: toastId });
+        
+        const fetchTrack = async url => {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.blob();
+        };
+        
+        try {
+            const cache = await caches.open(ENP.MEDIA_CACHE);
+            const video = await fetchTrack(post.video_url);
+            // Reddit's guessed audio track is missing for silent videos
+            const audio = post.audio_url ? await fetchTrack(post.audio_url).catch(() => null) : null;
+            const bytes = video.size + (audio ? audio.size : 0);
+            
+            // Sizes weren't known up front - check the budget now that they are
+            if (bytes > CONFIG.VIDEO_BUDGET - getSavedVideoBytes()) {
+                throw new Error(`${formatBytes(bytes)} exceeds the video budget`);
+            }
+            
+            await cache.put(post.video_url, new Response(video, { headers: { 'Content-Type': video.type || 'video/mp4' } }));
+            if (audio) {
+                await cache.put(post.audio_url, new Response(audio, { headers: { 'Content-Type': audio.type || 'audio/mp4' } }));
+            }
+            
+            const savedVideo = { bytes, audio: Boolean(audio), savedAt: Date.now() };
+            const index = state.feeds.starred.posts.findIndex(p => p.id === post.id);
+            if (index > -1) {
+                state.feeds.starred.posts[index] = { ...state.feeds.starred.posts[index], savedVideo };
+            } else {
+                state.feeds.starred.posts.push({ ...post, starredAt: Date.now(), savedVideo });
+                pinPostMedia(post);
+                if (!post.comments) queueCommentsJob(post);
+            }
+            
+            saveState();
+            renderPosts();
+            await refreshMediaCacheStats();
+            addLog(`Saved video offline from r/${post.subreddit} (${formatBytes(bytes)})`, 'success');
+            showToast('Video saved offline (post starred)', { type: 'success' });
+        } catch (error) {
+            console.error('Error saving video:', error);
+            showToast(`Could not save video: ${error.message}`, { type: 'error' });
+        } finally {
+            dismissToast(toastId);
+        }
+    }
+
+    // ============================================================================
+    // STORAGE MANAGEMENT - Optimized
+    // ============================================================================
+    async function initializeStorageQuota() {
+        // Request persistent storage to prevent OS from silently evicting our data.
+        // Only request (and log) once — the result doesn't change between sessions,
+        // and on iOS Safari it always returns false (not supported), so we don't want
+        // to spam the log with a warning the user can't act on.
+        if (navigator.storage && navigator.storage.persist) {
+            try {
+                const alreadyChecked = localStorage.getItem('storagePersistChecked');
+                const granted = await navigator.storage.persist();
+                if (!alreadyChecked) {
+                    localStorage.setItem('storagePersistChecked', '1');
+                    if (granted) {
+                        addLog('Storage persistence granted ✓', 'info');
+                    } else {
+                        // Not granted is normal on iOS Safari — log quietly, just once
+                        addLog('Storage persistence unavailable on this browser (data protected by storage cap)', 'info');
+                    }
+                }
+                console.log(`Storage persistence: ${granted ? 'granted' : 'not granted'}`);
+            } catch (e) {
+                console.warn('Could not request storage persistence:', e);
+            }
+        }
+
+        // storage.estimate() reflects the IndexedDB/Cache API quota. Without IndexedDB,
+        // posts live in localStorage, which mobile Safari caps at ~5MB regardless.
+        const cap = db ? CONFIG.MAX_SAFE_STORAGE : CONFIG.MAX_LOCAL_STORAGE;
+        state.storageQuota = cap;
+
+        if ('storage' in navigator && 'estimate' in navigator.storage) {
+            try {
+                const estimate = await navigator.storage.estimate();
+                const availableQuota = estimate.quota || state.storageQuota;
+                state.storageQuota = Math.min(availableQuota * 0.8, cap);
+                console.log(`Storage quota: ${formatBytes(state.storageQuota)}`);
+            } catch (error) {
+                console.error('Could not estimate storage:', error);
+            }
+        }
+    }
+
+    function getLocalStorageSize() {
+        let total = 0;
+        for (let key in localStorage) {
+            if (localStorage.hasOwnProperty(key)) {
+                total += localStorage[key].length + key.length;
+            }
+        }
+        return total * 2;
+    }
+
+    // Approximate bytes used by app data: the localStorage blob plus every
+    // record last written to IndexedDB
+    function getStorageSize() {
+        return getLocalStorageSize() + persistedBytes;
+    }
+
+    function getStorageUsagePercent() {
+        return (getStorageSize() / state.storageQuota) * 100;
+    }
+
+    function formatBytes(bytes) {
+        if (bytes < 1024) return bytes + ' B';
+        if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+        return (bytes / (1024 * 1024)).toFixed(2) + ' MB';
+    }
+
+    /**
+     * Remove the oldest non-starred posts until storage is back under 70%
+     * @returns {number} Number of posts removed
+     */
+    function cleanupOldPosts() {
+        // Prevent recursive cleanup
+        if (cleanupOldPosts.running) {
+            console.log('Cleanup already running, skipping');
+            return 0;
+        }
+        cleanupOldPosts.running = true;
+
+        const currentSize = getStorageSize();
+        const percent = (currentSize / state.storageQuota) * 100;
+        const targetPercent = 70; // Target 70% to give a healthy buffer after cleanup
+
+        console.log(`Storage at ${percent.toFixed(1)}% - cleaning up to ${targetPercent}%`);
+
+        const bookmarkedIds = new Set(state.feeds.starred.posts.map(p => p.id));
+
+        // Calculate average post size using only the post arrays, not total storage.
+        // Total storage includes settings/logs/queue which would inflate the estimate.
+        const allPostsArr = [...state.feeds.my.posts, ...state.feeds.popular.posts];
+        const totalPosts = allPostsArr.length;
+
+        if (totalPosts === 0) {
+            console.log('No posts to clean up');
+            cleanupOldPosts.running = false;
+            return 0;
+        }
+
+        // Estimate post data size by serialising just the posts portion
         const postsJsonSize = JSON.stringify({
             cachedPosts: state.feeds.my.posts,
             popularPosts: state.feeds.popular.posts
@@ -1166,7 +2350,7 @@
         if (bytesToRemove <= 0) {
             console.log('No cleanup needed');
             cleanupOldPosts.running = false;
-            return;
+            return 0;
         }
 
         // Calculate posts to remove, add 20% buffer to ensure we actually hit the target
@@ -1193,7 +2377,7 @@
         const afterCount = state.feeds.my.posts.length + state.feeds.popular.posts.length;
         const removedCount = beforeCount - afterCount;
 
-        // Estimate afterPercent from in-memory state, since localStorage hasn't been
+        // Estimate afterPercent from in-memory state, since storage hasn't been
         // written yet (saveState is intentionally deferred to avoid recursion).
         // We subtract the estimated size of the removed posts from currentSize.
         const estimatedAfterSize = Math.max(0, currentSize - (removedCount * avgPostSize));
@@ -1203,6 +2387,7 @@
         addLog(`Storage cleanup: ${removedCount} posts removed (${percent.toFixed(0)}% → ~${afterPercent.toFixed(0)}%)`, 'info');
 
         cleanupOldPosts.running = false;
+        return removedCount;
     }
 
     function cleanupOldPostsByAge() {
@@ -1240,15 +2425,20 @@
             return true;
         });
         
+        // Read marks outlive the posts (a post cleaned up for space stays read if
+        // fetched again) until no feed could hold them any more
+        pruneReadState();
+        
         if (removedCount > 0) {
             console.log(`Removed ${removedCount} posts older than ${CONFIG.MAX_POST_AGE_DAYS} days`);
             addLog(`Cleanup: Removed ${removedCount} old posts (>${CONFIG.MAX_POST_AGE_DAYS} days)`, 'info');
             saveState();
+            pruneBundleMedia();
         }
     }
 
     function updateStorageStats() {
-        const size = getLocalStorageSize();
+        const size = getStorageSize();
         const percent = getStorageUsagePercent();
         
         const usageEl = document.getElementById('storageUsage');
@@ -1281,11 +2471,19 @@
             
             const lines = Object.entries(breakdown)
                 .sort((a, b) => b[1] - a[1])
-                .map(([sub, count]) => `${sub.startsWith('★') ? sub : 'r/' + sub}: ${count}`)
+                .map(([sub, count]) => `${sub.startsWith('★') ? sub : 'r/' + esc(sub)}: ${count}`)
                 .join('<br>');
             
             postsPerSubEl.innerHTML = lines || '<em>No posts cached</em>';
         }
+        
+        const starredMediaEl = document.getElementById('starredMedia');
+        if (starredMediaEl) {
+            const { count, bytes } = mediaCacheStats;
+            const videos = state.feeds.starred.posts.filter(p => p.savedVideo).length;
+            starredMediaEl.textContent = `${count} image${count === 1 ? '' : 's'}, ${formatBytes(bytes)}` +
+                (videos > 0 ? ` (${videos} video${videos === 1 ? '' : 's'}: ${formatBytes(getSavedVideoBytes())} of ${formatBytes(CONFIG.VIDEO_BUDGET)})` : '');
+        }
     }
 
     // ============================================================================
@@ -1293,7 +2491,7 @@
     // ============================================================================
     async function initializeApp() {
         // Load state
-        loadState();
+        await loadState();
         
         // Initialize theme
         const savedTheme = localStorage.getItem('theme') || 'light';
@@ -1333,6 +2531,12 @@
         setupOnlineOfflineListeners();
         checkForUpdates();
         
+        // Pin images of posts starred while offline; also measures the media cache
+        syncStarredMedia();
+        
+        // Subreddits added offline last time
+        if (navigator.onLine) validatePendingSubreddits();
+        
         // Resume sync queue if needed
         if (navigator.onLine && state.syncQueue.length > 0) {
             console.log(`Resuming sync queue processing with ${state.syncQueue.length} jobs`);
@@ -1381,6 +2585,49 @@
         if (importBtn) importBtn.onclick = () => importFile && importFile.click();
         if (importFile) importFile.onchange = importSubreddits;
         
+        // News bundles
+        const exportBundleBtn = document.getElementById('exportBundleBtn');
+        const importBundleBtn = document.getElementById('importBundleBtn');
+        const importBundleFile = document.getElementById('importBundleFile');
+        if (exportBundleBtn) exportBundleBtn.onclick = exportNewsBundle;
+        if (importBundleBtn) importBundleBtn.onclick = () => importBundleFile && importBundleFile.click();
+        if (importBundleFile) importBundleFile.onchange = importNewsBundleFile;
+        
+        // Import preview
+        const importPreviewPopup = document.getElementById('importPreviewPopup');
+        const importPreviewCloseBtn = document.getElementById('importPreviewCloseBtn');
+        const importPreviewCancelBtn = document.getElementById('importPreviewCancelBtn');
+        const importPreviewConfirmBtn = document.getElementById('importPreviewConfirmBtn');
+        if (importPreviewCloseBtn) importPreviewCloseBtn.onclick = closeImportPreview;
+        if (importPreviewCancelBtn) importPreviewCancelBtn.onclick = closeImportPreview;
+        if (importPreviewConfirmBtn) importPreviewConfirmBtn.onclick = confirmImportPreview;
+        if (importPreviewPopup) importPreviewPopup.onclick = (e) => e.target === importPreviewPopup && closeImportPreview();
+        document.querySelectorAll('input[name="importMode"]').forEach(radio => radio.onchange = () => renderImportPreview());
+        
+        // QR transfer
+        const qrSendBtn = document.getElementById('qrSendBtn');
+        const qrScanBtn = document.getElementById('qrScanBtn');
+        const qrSendPopup = document.getElementById('qrSendPopup');
+        const qrScanPopup = document.getElementById('qrScanPopup');
+        const qrIncludeStarred = document.getElementById('qrIncludeStarred');
+        const qrPrevBtn = document.getElementById('qrPrevBtn');
+        const qrPauseBtn = document.getElementById('qrPauseBtn');
+        const qrNextBtn = document.getElementById('qrNextBtn');
+        const qrSendCloseBtn = document.getElementById('qrSendCloseBtn');
+        const qrScanCloseBtn = document.getElementById('qrScanCloseBtn');
+        const qrRestartBtn = document.getElementById('qrRestartBtn');
+        if (qrSendBtn) qrSendBtn.onclick = () => { toggleSidebar(); openQrSend(); };
+        if (qrScanBtn) qrScanBtn.onclick = () => { toggleSidebar(); openQrScan(); };
+        if (qrIncludeStarred) qrIncludeStarred.onchange = openQrSend;
+        if (qrPrevBtn) qrPrevBtn.onclick = () => stepQrPart(-1);
+        if (qrNextBtn) qrNextBtn.onclick = () => stepQrPart(1);
+        if (qrPauseBtn) qrPauseBtn.onclick = () => qrSend && setQrSendPaused(Boolean(qrSend.timer));
+        if (qrSendCloseBtn) qrSendCloseBtn.onclick = closeQrSend;
+        if (qrScanCloseBtn) qrScanCloseBtn.onclick = closeQrScan;
+        if (qrRestartBtn) qrRestartBtn.onclick = restartQrScan;
+        if (qrSendPopup) qrSendPopup.onclick = (e) => e.target === qrSendPopup && closeQrSend();
+        if (qrScanPopup) qrScanPopup.onclick = (e) => e.target === qrScanPopup && closeQrScan();
+        
         // Theme toggle
         const themeToggle = document.getElementById('themeToggle');
         if (themeToggle) themeToggle.onclick = toggleTheme;
@@ -1388,6 +2635,8 @@
         // Auto-refresh toggles
         const autoRefreshStartToggle = document.getElementById('autoRefreshStartToggle');
         const refreshOnReloadToggle = document.getElementById('refreshOnReloadToggle');
+        const backgroundRefreshToggle = document.getElementById('backgroundRefreshToggle');
+        const prefetchCommentsToggle = document.getElementById('prefetchCommentsToggle');
         
         if (autoRefreshStartToggle) {
             updateToggleButton(autoRefreshStartToggle, state.autoRefreshOnStart);
@@ -1409,6 +2658,36 @@
             };
         }
         
+        if (prefetchCommentsToggle) {
+            updateToggleButton(prefetchCommentsToggle, state.prefetchComments);
+            prefetchCommentsToggle.onclick = () => {
+                state.prefetchComments = !state.prefetchComments;
+                updateToggleButton(prefetchCommentsToggle, state.prefetchComments);
+                saveState();
+                addLog(`Save top comments: ${state.prefetchComments ? 'ON' : 'OFF'}`, 'info');
+            };
+        }
+        
+        if (backgroundRefreshToggle) {
+            if (isPeriodicSyncSupported()) {
+                updateToggleButton(backgroundRefreshToggle, state.backgroundRefresh);
+                backgroundRefreshToggle.onclick = () => {
+                    state.backgroundRefresh = !state.backgroundRefresh;
+                    updateToggleButton(backgroundRefreshToggle, state.backgroundRefresh);
+                    saveState();
+                    updatePeriodicSync();
+                    addLog(`Background refresh: ${state.backgroundRefresh ? 'ON' : 'OFF'}`, 'info');
+                };
+            } else {
+                // Periodic Background Sync is Chromium-only, and only for installed apps
+                backgroundRefreshToggle.disabled = true;
+                backgroundRefreshToggle.style.opacity = '0.5';
+                backgroundRefreshToggle.style.cursor = 'not-allowed';
+                backgroundRefreshToggle.title = 'Not supported by this browser';
+                backgroundRefreshToggle.querySelector('div:last-child').textContent = 'N/A';
+            }
+        }
+        
         // Update button
         const updateBtn = document.getElementById('updateButton');
         if (updateBtn) updateBtn.onclick = updatePWA;
@@ -1417,7 +2696,9 @@
         const skipWelcome = document.getElementById('skipWelcome');
         const addDefaults = document.getElementById('addDefaults');
         if (skipWelcome) skipWelcome.onclick = hideWelcomeScreen;
-        if (addDefaults) addDefaults.onclick = addDefaultSubreddits;
+        if (addDefaults) addDefaults.onclick = addSelectedSuggestions;
+        const browseSuggestionsBtn = document.getElementById('browseSuggestionsBtn');
+        if (browseSuggestionsBtn) browseSuggestionsBtn.onclick = browseSuggestions;
         
         // Feed tabs
         const myTab = document.getElementById('myFeedTab');
@@ -1436,6 +2717,9 @@
         if (popupClose) popupClose.onclick = closeSubredditPopup;
         if (popupFollow) popupFollow.onclick = toggleFollowSubreddit;
         if (popupBlock) popupBlock.onclick = toggleBlockSubreddit;
+        
+        const popupSort = document.getElementById('popupSortSelect');
+        if (popupSort) popupSort.onchange = () => setSubredditSort(currentPopupSubreddit, popupSort.value);
         if (popup) popup.onclick = (e) => e.target === popup && closeSubredditPopup();
         
         // User popup
@@ -1447,8 +2731,139 @@
         if (userPopupBlock) userPopupBlock.onclick = toggleBlockUser;
         if (userPopup) userPopup.onclick = (e) => e.target === userPopup && closeUserPopup();
         
+        // Read tracking
+        const hideReadToggle = document.getElementById('hideReadToggle');
+        const markAllReadBtn = document.getElementById('markAllReadBtn');
+        if (hideReadToggle) hideReadToggle.onclick = toggleHideRead;
+        if (markAllReadBtn) markAllReadBtn.onclick = markAllRead;
+        
+        // Popular region
+        const popularRegionSelect = document.getElementById('popularRegionSelect');
+        if (popularRegionSelect) {
+            popularRegionSelect.innerHTML = Object.entries(ENP.POPULAR_REGIONS)
+                .map(([code, name]) => `<option value="${code}">${esc(name)}</option>`)
+                .join('');
+            popularRegionSelect.onchange = () => setPopularRegion(popularRegionSelect.value);
+        }
+        
+        // Feed order
+        const feedOrderSelect = document.getElementById('feedOrderSelect');
+        if (feedOrderSelect) feedOrderSelect.onchange = () => setFeedOrder(feedOrderSelect.value);
+        
+        // Custom feeds - typing the name of an existing feed loads it for editing
+        const saveCustomFeedBtn = document.getElementById('saveCustomFeedBtn');
+        const customFeedName = document.getElementById('customFeedName');
+        if (saveCustomFeedBtn) saveCustomFeedBtn.onclick = saveCustomFeed;
+        if (customFeedName) {
+            customFeedName.addEventListener('input', () => loadCustomFeedForm(customFeedName.value));
+            customFeedName.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    saveCustomFeed();
+                }
+            });
+        }
+        
+        // Watchlist
+        const addWatchTermBtn = document.getElementById('addWatchTermBtn');
+        const watchTermInput = document.getElementById('watchTermInput');
+        if (addWatchTermBtn) addWatchTermBtn.onclick = addWatchTerm;
+        if (watchTermInput) watchTermInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                addWatchTerm();
+            }
+        });
+        
+        // Mute rules
+        const addMuteRuleBtn = document.getElementById('addMuteRuleBtn');
+        const muteRuleValue = document.getElementById('muteRuleValue');
+        if (addMuteRuleBtn) addMuteRuleBtn.onclick = addMuteRule;
+        if (muteRuleValue) muteRuleValue.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                addMuteRule();
+            }
+        });
+        
+        // Search - waits for a pause in typing; Escape clears it
+        const searchInput = document.getElementById('searchInput');
+        if (searchInput) {
+            let searchTimer = null;
+            searchInput.addEventListener('input', () => {
+                clearTimeout(searchTimer);
+                searchTimer = setTimeout(() => setSearch(searchInput.value), CONFIG.SEARCH_DEBOUNCE);
+            });
+            searchInput.addEventListener('keydown', (e) => {
+                if (e.key !== 'Escape') return;
+                clearTimeout(searchTimer);
+                clearSearch();
+                renderSubredditFilter();
+                renderPosts();
+            });
+        }
+        
         // Gallery navigation - event delegation
         document.addEventListener('click', handleGalleryClick);
+        
+        // Buttons and links in rendered posts and lists - event delegation
+        document.addEventListener('click', handleActionClick);
+        
+        // Tap a >!spoiler!< to reveal it
+        document.addEventListener('click', handleSpoilerClick);
+        
+        // Load events don't bubble, so gallery images are caught on the way down
+        document.addEventListener('load', (e) => {
+            if (e.target.classList && e.target.classList.contains('post-gallery-image')) {
+                e.target.classList.add('loaded');
+            }
+        }, true);
+    }
+
+    // Rendered HTML never carries inline handlers: elements name what they do in
+    // data-action, with the post, subreddit or user it applies to in data-*
+    const ACTIONS = {
+        'open-post': () => {}, // The link opens as usual; the post is marked read below
+        'open-subreddit': (el) => openSubredditPopup(el.dataset.subreddit),
+        'open-user': (el) => openUserPopup(el.dataset.user),
+        'toggle-bookmark': (el) => toggleBookmark(el.dataset.postId),
+        'toggle-comments': (el) => toggleComments(el, el.dataset.postId),
+        'save-video': (el) => saveVideoOffline(el.dataset.postId),
+        'play-video': (el) => playVideo(el, el.dataset.postId),
+        'toggle-text': (el) => togglePostText(el),
+        'remove-subreddit': (el) => removeSubreddit(el.dataset.subreddit),
+        'unblock-subreddit': (el) => unblockSubreddit(el.dataset.subreddit),
+        'unblock-user': (el) => unblockUser(el.dataset.user),
+        'remove-mute-rule': (el) => removeMuteRule(el.dataset.ruleId),
+        'toggle-muted': () => toggleShowMuted(),
+        'remove-watch-term': (el) => removeWatchTerm(el.dataset.term),
+        'remove-custom-feed': (el) => removeCustomFeed(el.dataset.feedId)
+    };
+
+    // Actions that open a post, and so mark it read
+    const OPENS_POST = new Set(['open-post', 'toggle-comments', 'play-video', 'toggle-text']);
+
+    function handleActionClick(e) {
+        const target = e.target.closest('[data-action]');
+        if (!target) return;
+        
+        const action = ACTIONS[target.dataset.action];
+        if (action) action(target);
+        
+        // Opening a post in any way counts as reading it
+        if (OPENS_POST.has(target.dataset.action)) {
+            const postEl = target.closest('.post[data-post-id]');
+            if (postEl) markPostElementRead(postEl);
+        }
+    }
+
+    function handleSpoilerClick(e) {
+        const spoiler = e.target.closest('.md-spoiler');
+        if (!spoiler || spoiler.classList.contains('revealed')) return;
+        
+        // Don't follow a link hidden in the spoiler on the revealing tap
+        e.preventDefault();
+        spoiler.classList.add('revealed');
     }
 
     // Simplified gallery handler
@@ -1512,6 +2927,7 @@
         if ('serviceWorker' in navigator) {
             navigator.serviceWorker.register('./sw.js')
                 .then(reg => {
+                    updatePeriodicSync();
                     reg.addEventListener('updatefound', () => {
                         const newWorker = reg.installing;
                         newWorker.addEventListener('statechange', () => {
@@ -1527,6 +2943,64 @@
             navigator.serviceWorker.addEventListener('controllerchange', () => {
                 if (!reloadPending) window.location.reload(true);
             });
+            
+            navigator.serviceWorker.addEventListener('message', handleServiceWorkerMessage);
+        }
+    }
+
+    // The service worker hands sync events to an open window instead of writing
+    // to IndexedDB underneath it, so the page's in-memory state stays the truth
+    function handleServiceWorkerMessage(event) {
+        const { type } = event.data || {};
+        
+        if (type === 'PROCESS_SYNC_QUEUE') {
+            processSyncQueue();
+        } else if (type === 'REFRESH_FEEDS') {
+            queueFullRefresh();
+            processSyncQueue();
+        }
+    }
+
+    // Ask for a one-off Background Sync; browsers without it just wait for the
+    // 'online' event while the app is open
+    function requestBackgroundSync() {
+        if (!('serviceWorker' in navigator) || !('SyncManager' in window)) return;
+        
+        navigator.serviceWorker.ready
+            .then(reg => reg.sync.register(ENP.SYNC_TAGS.QUEUE))
+            .catch(error => console.warn('Background sync registration failed:', error));
+    }
+
+    function isPeriodicSyncSupported() {
+        return 'serviceWorker' in navigator &&
+            'ServiceWorkerRegistration' in window &&
+            'periodicSync' in ServiceWorkerRegistration.prototype;
+    }
+
+    // Register or drop the periodic feed refresh to match the Background toggle
+    async function updatePeriodicSync() {
+        if (!isPeriodicSyncSupported()) return;
+        
+        try {
+            const reg = await navigator.serviceWorker.ready;
+            
+            if (!state.backgroundRefresh) {
+                await reg.periodicSync.unregister(ENP.SYNC_TAGS.REFRESH);
+                return;
+            }
+            
+            // Only granted once the app is installed (and used regularly)
+            const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+            if (status.state !== 'granted') {
+                console.log('Periodic background sync not granted - install the app to enable it');
+                return;
+            }
+            
+            await reg.periodicSync.register(ENP.SYNC_TAGS.REFRESH, {
+                minInterval: CONFIG.BACKGROUND_REFRESH_INTERVAL
+            });
+        } catch (error) {
+            console.warn('Periodic background sync registration failed:', error);
         }
     }
 
@@ -1545,6 +3019,10 @@
     function setupOnlineOfflineListeners() {
         window.addEventListener('online', handleOnlineStatus);
         window.addEventListener('offline', handleOnlineStatus);
+        // Images of posts starred while offline
+        window.addEventListener('online', syncStarredMedia);
+        // Subreddits added while offline
+        window.addEventListener('online', validatePendingSubreddits);
         handleOnlineStatus();
     }
 
@@ -1653,26 +3131,55 @@
 
     function updateFeedTabsVisibility() {
         const tabs = document.getElementById('feedTabs');
+        const searchBar = document.getElementById('searchBar');
         if (tabs) tabs.style.display = state.subreddits.length > 0 ? 'flex' : 'none';
+        if (searchBar) searchBar.style.display = state.subreddits.length > 0 ? 'flex' : 'none';
+        renderCustomFeedTabs();
+    }
+
+    // Narrow Popular to a region (Reddit's geo_filter). Posts cached from the
+    // previous region are dropped - they were trending somewhere else
+    function setPopularRegion(region) {
+        if (!Object.hasOwn(ENP.POPULAR_REGIONS, region) || region === state.popularRegion) return;
+        
+        state.popularRegion = region;
+        state.feeds.popular.posts = [];
+        state.feeds.popular.pending = { posts: [], count: 0 };
+        state.feeds.popular.lastFetch = {};
+        rebuildPopularFiltered();
+        resetFeedPagination('popular');
+        saveState();
+        
+        if (state.current === 'popular') renderPosts();
+        updateUnreadBadges();
+        showToast(`Popular now shows what's trending in ${ENP.POPULAR_REGIONS[region]}`, { type: 'success' });
+        
+        if (navigator.onLine) {
+            queueSyncJob('fetch_popular');
+            processSyncQueue();
+        }
     }
 
     function switchFeed(feed) {
+        // A custom feed may have been deleted since it was last open
+        if (!['my', 'popular', 'starred'].includes(feed) && !getCustomFeed(feed)) feed = 'my';
+        
         state.current = feed;
         state.filter = 'all';
+        state.showMuted = false;
+        readInView.clear();
+        clearSearch();
         
         // Reset pagination when switching feeds
         resetFeedPagination('my');
         resetFeedPagination('popular');
         resetFeedPagination('starred');
+        customFeedPages.clear();
         
         debouncedSave();
         
-        const tabs = ['myFeedTab', 'popularFeedTab', 'starredFeedTab'];
-        const feeds = ['my', 'popular', 'starred'];
-        
-        tabs.forEach((tabId, i) => {
-            const tab = document.getElementById(tabId);
-            if (tab) tab.classList.toggle('active', feeds[i] === feed);
+        document.querySelectorAll('#feedTabs .feed-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.feed === feed);
         });
         
         renderSubredditFilter();
@@ -1688,10 +3195,12 @@
         const filterBar = document.getElementById('subredditFilter');
         if (!filterBar) return;
         
-        if (state.current === 'my' && state.subreddits.length > 0) {
+        if (getBaseFeed(state.current) === 'my' && state.subreddits.length > 0 && !state.search) {
+            const custom = getCustomFeed(state.current);
             const subsWithPosts = [...new Set(state.feeds.my.posts.map(p => p.subreddit))];
-            const available = state.subreddits.filter(sub => 
-                subsWithPosts.some(s => s.toLowerCase() === sub.toLowerCase())
+            const available = state.subreddits.map(sub => sub.name).filter(name => 
+                subsWithPosts.some(s => s.toLowerCase() === name.toLowerCase()) &&
+                (!custom || custom.subreddits.some(s => s.toLowerCase() === name.toLowerCase()))
             );
             
             if (available.length === 0) {
@@ -1704,26 +3213,66 @@
                 a.toLowerCase().localeCompare(b.toLowerCase())
             );
             
+            const filter = getActiveFilter();
             filterBar.classList.add('active');
-            const chips = ['<span class="filter-chip active" data-filter="all">All</span>'];
+            const chips = [`<span class="filter-chip${filter === 'all' ? ' active' : ''}" data-filter="all">All</span>`];
             sortedAvailable.forEach(sub => {
-                chips.push(`<span class="filter-chip" data-filter="${sub}">r/${sub}</span>`);
+                const active = sub.toLowerCase() === filter.toLowerCase() ? ' active' : '';
+                chips.push(`<span class="filter-chip${active}" data-filter="${esc(sub)}">r/${esc(sub)}<span class="unread-badge"></span></span>`);
             });
             
             filterBar.innerHTML = chips.join('');
             filterBar.querySelectorAll('.filter-chip').forEach(chip => {
                 chip.onclick = () => setActiveFilter(chip.dataset.filter);
             });
+            updateUnreadBadges();
         } else {
             filterBar.classList.remove('active');
         }
     }
 
-    function setActiveFilter(filter) {
-        state.filter = filter;
-        resetFeedPagination(state.current);
-        document.querySelectorAll('.filter-chip').forEach(chip => {
-            chip.classList.toggle('active', chip.dataset.filter === filter);
+    // Comparators for each feed order. 'newest' keeps the feed's own order:
+    // newest first, or most recently starred first in Starred
+    const FEED_ORDERS = {
+        newest: null,
+        score: (a, b) => b.ups - a.ups,
+        comments: (a, b) => b.num_comments - a.num_comments
+    };
+
+    // The subreddit chip and order in effect - custom feeds keep their own
+    function getActiveFilter() {
+        const custom = getCustomFeed(state.current);
+        return custom ? custom.filter : state.filter;
+    }
+
+    function getActiveOrder() {
+        const custom = getCustomFeed(state.current);
+        return custom ? custom.order : state.feedOrder;
+    }
+
+    function setFeedOrder(order) {
+        if (!Object.hasOwn(FEED_ORDERS, order) || order === getActiveOrder()) return;
+        const custom = getCustomFeed(state.current);
+        if (custom) custom.order = order;
+        else state.feedOrder = order;
+        resetFeedPagination(state.current);
+        saveState();
+        renderPosts();
+        window.scrollTo({ top: 0 });
+    }
+
+    function setActiveFilter(filter) {
+        const custom = getCustomFeed(state.current);
+        if (custom) {
+            custom.filter = filter;
+            debouncedSave();
+        } else {
+            state.filter = filter;
+        }
+        readInView.clear();
+        resetFeedPagination(state.current);
+        document.querySelectorAll('.filter-chip').forEach(chip => {
+            chip.classList.toggle('active', chip.dataset.filter === filter);
         });
         renderPosts();
     }
@@ -1733,15 +3282,25 @@
         const status = document.getElementById('status');
         if (!container) return;
         
-        let posts = state.feeds[state.current].posts;
+        const custom = getCustomFeed(state.current);
+        const baseFeed = getBaseFeed(state.current);
+        let posts = state.feeds[baseFeed].posts;
+        
+        if (custom) posts = posts.filter(post => inCustomFeed(custom, post));
+        
+        if (state.search) {
+            // Search covers every feed, so the feed's own filters don't apply
+            posts = getSearchResults(state.search);
+        }
         
-        // Apply filter for My Feed
-        if (state.current === 'my' && state.filter !== 'all') {
-            posts = posts.filter(p => p.subreddit.toLowerCase() === state.filter.toLowerCase());
+        // Apply filter for My Feed and custom feeds
+        const filter = getActiveFilter();
+        if (baseFeed === 'my' && filter !== 'all' && !state.search) {
+            posts = posts.filter(p => p.subreddit.toLowerCase() === filter.toLowerCase());
         }
         
         // Use cached filtered posts for Popular
-        if (state.current === 'popular') {
+        if (state.current === 'popular' && !state.search) {
             posts = state.feeds.popular.filtered.length > 0 
                 ? state.feeds.popular.filtered 
                 : posts.filter(p => !state.blocked.some(b => b.toLowerCase() === p.subreddit.toLowerCase()));
@@ -1750,6 +3309,43 @@
         // Filter blocked users globally
         posts = posts.filter(p => !state.blockedUsers.some(u => u.toLowerCase() === p.author.toLowerCase()));
         
+        // Mute rules - muted posts are only shown while peeking at them
+        let mutedCount = 0;
+        if (!state.search && state.current !== 'starred') {
+            posts = posts.filter(post => {
+                if (!findMuteRule(post, baseFeed)) return true;
+                mutedCount++;
+                return state.showMuted;
+            });
+        }
+        updateMutedIndicator(mutedCount);
+        
+        const hasReadPosts = posts.length > 0;
+        if (state.hideRead && !state.search) posts = posts.filter(post => !isRead(post) || readInView.has(post.id));
+        currentFeedPosts = posts;
+        updateFeedActions();
+        updateUnreadBadges();
+        
+        // Search results stay in order of relevance
+        const order = getActiveOrder();
+        if (order !== 'newest' && !state.search) {
+            posts = [...posts].sort(FEED_ORDERS[order]);
+        }
+        
+        // Fresh watchlist matches go first, in their usual order
+        if (!state.search && state.watchlist.length > 0) {
+            const pinned = posts.filter(isPinnedWatchMatch);
+            if (pinned.length > 0) posts = [...pinned, ...posts.filter(post => !isPinnedWatchMatch(post))];
+        }
+        
+        updateSearchCount(posts.length);
+        
+        if (state.search && posts.length === 0) {
+            if (status) status.style.display = 'none';
+            container.innerHTML = `<div class="post"><div class="post-text" style="text-align: center; padding: 40px 20px; color: #7c7c7c;">No saved posts match "${esc(state.search)}"</div></div>`;
+            return;
+        }
+        
         // Check if we're syncing
         const isSyncing = state.isProcessingQueue || state.syncQueue.some(j => 
             j.status === 'processing' || j.status === 'pending'
@@ -1772,12 +3368,18 @@
                 status.style.display = 'none';
             }
             
+            if (state.hideRead && hasReadPosts && !state.search) {
+                container.innerHTML = `<div class="post"><div class="post-text" style="text-align: center; padding: 40px 20px; color: #7c7c7c;">You're all caught up. Tap "Show read" to see read posts.</div></div>`;
+                return;
+            }
+            
             const messages = {
                 starred: 'No starred posts yet. Tap the ★ icon on posts to save them here.',
                 my: navigator.onLine ? 'No posts yet. Add subreddits and click "Refresh Posts".' : 'No cached posts. Connect to internet and refresh.',
                 popular: navigator.onLine ? 'No popular posts yet. They will load automatically.' : 'No cached popular posts. Connect to internet to fetch.'
             };
-            container.innerHTML = `<div class="post"><div class="post-text" style="text-align: center; padding: 40px 20px; color: #7c7c7c;">${messages[state.current]}</div></div>`;
+            const message = custom ? `No posts in ${esc(custom.name)} yet. Refresh to fetch its subreddits.` : messages[state.current];
+            container.innerHTML = `<div class="post"><div class="post-text" style="text-align: center; padding: 40px 20px; color: #7c7c7c;">${message}</div></div>`;
             return;
         }
         
@@ -1787,11 +3389,16 @@
         }
         
         // Pagination - render only visible posts
-        const currentPage = state.feeds[state.current].currentPage || 1;
+        const currentPage = getFeedPage(state.current);
         const visiblePosts = posts.slice(0, currentPage * CONFIG.POSTS_PER_PAGE);
         
         container.innerHTML = visiblePosts.map(createPostHTML).join('');
         
+        if (state.search) {
+            container.querySelectorAll('.post-title a, .post-text').forEach(el => ENP.search.highlight(el, state.search));
+        }
+        observeReadPosts(container);
+        
         // Add auto-loading button if there are more posts
         if (visiblePosts.length < posts.length) {
             const loadMoreBtn = document.createElement('button');
@@ -1837,7 +3444,7 @@
                         loadMoreBtn.innerHTML = `<span class="load-more-spinner" style="width: 14px; height: 14px; border-radius: 50%; border: 2px solid transparent; border-top-color: white; border-right-color: white; opacity: 1; animation: spin ${CONFIG.LOAD_MORE_COUNTDOWN / 1000}s linear;"></span> Loading more...`;
                         
                         countdownTimer = setTimeout(() => {
-                            state.feeds[state.current].currentPage = (state.feeds[state.current].currentPage || 1) + 1;
+                            setFeedPage(state.current, getFeedPage(state.current) + 1);
                             observer.disconnect();
                             renderPosts();
                         }, CONFIG.LOAD_MORE_COUNTDOWN);
@@ -1858,17 +3465,80 @@
         }
     }
 
+    // ============================================================================
+    // SEARCH - Every saved post: both feeds, their pending posts, and starred
+    // ============================================================================
+    const searchIndex = ENP.search.createIndex();
+
+    // Posts keyed by where they are saved. Starred comes first, so a post saved in
+    // more than one place is shown from its starred copy.
+    function collectSearchablePosts() {
+        const posts = new Map();
+        const add = (source, list) => list.forEach(post => posts.set(`${source}:${post.id}`, post));
+        
+        add('starred', state.feeds.starred.posts);
+        ['my', 'popular'].forEach(feed => {
+            add(feed, state.feeds[feed].posts);
+            add(`${feed}-pending`, state.feeds[feed].pending.posts);
+        });
+        return posts;
+    }
+
+    function getSearchResults(query) {
+        const posts = collectSearchablePosts();
+        // Only posts added or replaced since the last search are indexed again
+        searchIndex.sync(posts);
+        
+        const starredIds = new Set(state.feeds.starred.posts.map(p => p.id));
+        const seen = new Set();
+        
+        return searchIndex.query(query)
+            .map(({ key, score }) => ({ post: posts.get(key), score }))
+            .sort((a, b) => b.score - a.score || b.post.created_utc - a.post.created_utc)
+            .map(result => result.post)
+            .filter(post => {
+                if (seen.has(post.id)) return false;
+                seen.add(post.id);
+                // Blocked subreddits stay hidden, unless the post was starred
+                return starredIds.has(post.id) ||
+                    !state.blocked.some(b => b.toLowerCase() === post.subreddit.toLowerCase());
+            });
+    }
+
+    function setSearch(query) {
+        query = query.trim();
+        if (query === state.search) return;
+        
+        state.search = query;
+        resetFeedPagination(state.current);
+        renderSubredditFilter();
+        renderPosts();
+    }
+
+    function clearSearch() {
+        const searchInput = document.getElementById('searchInput');
+        if (searchInput) searchInput.value = '';
+        state.search = '';
+        resetFeedPagination(state.current);
+    }
+
+    function updateSearchCount(count) {
+        const countEl = document.getElementById('searchCount');
+        if (countEl) countEl.textContent = state.search ? `${count} ${count === 1 ? 'post' : 'posts'}` : '';
+    }
+
     // ============================================================================
     // TEMPLATE HELPERS
     // ============================================================================
     const templates = {
         postHeader: (post, isBookmarked) => `
             <div class="post-header">
-                <span class="subreddit-name" onclick="window.openSubredditPopup('${esc(post.subreddit)}')">r/${esc(post.subreddit)}</span>
-                • Posted by <span class="post-author" onclick="window.openUserPopup('${esc(post.author)}')" style="cursor: pointer; text-decoration: underline;">u/${esc(post.author)}</span>
+                <span class="subreddit-name" data-action="open-subreddit" data-subreddit="${esc(post.subreddit)}">r/${esc(post.subreddit)}</span>
+                • Posted by <span class="post-author" data-action="open-user" data-user="${esc(post.author)}" style="cursor: pointer; text-decoration: underline;">u/${esc(post.author)}</span>
                 • ${formatTime(post.created_utc)}
+                ${post.removed ? '<span class="removed-badge" title="Deleted or removed on Reddit - this is the copy saved earlier">[removed upstream]</span>' : ''}
                 <button class="bookmark-btn ${isBookmarked ? 'bookmarked' : ''}" 
-                        onclick="window.toggleBookmark('${post.id}')" 
+                        data-action="toggle-bookmark" data-post-id="${esc(post.id)}" 
                         title="${isBookmarked ? 'Remove from starred' : 'Add to starred'}">
                     ${isBookmarked ? '★' : '☆'}
                 </button>
@@ -1876,34 +3546,60 @@
         
         postTitle: (post) => `
             <div class="post-title">
-                <a href="https://reddit.com${esc(post.permalink)}" target="_blank" rel="noopener">${esc(post.title)}</a>
+                <a href="${escUrl(`https://reddit.com${post.permalink}`)}" target="_blank" rel="noopener" data-action="open-post">${esc(post.title)}</a>
             </div>`,
         
         postFooter: (post) => `
             <div class="post-footer">
                 <span class="post-stat">⬆ ${formatNumber(post.ups)} upvotes</span>
-                <span class="post-stat">💬 ${formatNumber(post.num_comments)} comments</span>
-            </div>`,
+                <button class="post-stat comments-toggle" data-action="toggle-comments" data-post-id="${esc(post.id)}"
+                        title="${post.comments ? 'Comments saved for offline reading' : 'Show comments'}">
+                    💬 ${formatNumber(post.num_comments)} comments${post.comments ? ' ✓' : ''}
+                </button>
+                ${post.is_video && post.video_url ? templates.videoSaveButton(post) : ''}
+            </div>
+            <div class="post-comments" data-post-id="${esc(post.id)}" style="display: none;"></div>`,
+        
+        videoSaveButton: (post) => {
+            const saved = state.feeds.starred.posts.some(p => p.id === post.id && p.savedVideo);
+            return `
+                <button class="post-stat video-save-btn" data-action="save-video" data-post-id="${esc(post.id)}"
+                        title="${saved ? 'Remove the offline copy of this video' : 'Download this video to watch offline (stars the post)'}">
+                    ${saved ? '✓ Video saved' : '⬇ Save video'}
+                </button>`;
+        },
+        
+        watchAlert: (terms) => `
+            <div class="watch-alert">⚠ Watchlist: ${terms.map(term => `"${esc(term)}"`).join(', ')}</div>`,
+        
+        comment: (comment) => `
+            <details class="comment" open>
+                <summary class="comment-meta">
+                    u/${esc(comment.author)} • ⬆ ${formatNumber(comment.score)} • ${formatTime(comment.created_utc)}
+                </summary>
+                <div class="comment-body">${ENP.sanitizer.sanitizeHTML(ENP.markdown.render(comment.body))}</div>
+                ${comment.replies.length > 0 ? `<div class="comment-replies">${comment.replies.map(templates.comment).join('')}</div>` : ''}
+            </details>`,
         
         videoPreview: (post, thumbnail) => {
-            const audioTrack = post.audio_url ? `<source src="${esc(post.audio_url)}" type="audio/mp4">` : '';
+            const audioTrack = post.audio_url ? `<source src="${escMediaUrl(post.audio_url)}" type="audio/mp4">` : '';
             return `
-                <div class="video-preview" onclick="window.playVideo(this, '${esc(post.video_url)}', '${esc(post.audio_url || '')}')">
-                    <img class="video-thumbnail" src="${esc(thumbnail)}" alt="Video thumbnail" loading="lazy" />
+                <div class="video-preview" data-action="play-video" data-post-id="${esc(post.id)}">
+                    <img class="video-thumbnail" src="${escMediaUrl(thumbnail)}" alt="Video thumbnail" loading="lazy" />
                     <div class="video-play-overlay">
                         <div class="video-play-button">▶</div>
                     </div>
                     <video class="post-video" style="display: none;" controls preload="none">
-                        <source src="${esc(post.video_url)}" type="video/mp4">
+                        <source src="${escMediaUrl(post.video_url)}" type="video/mp4">
                     </video>
                     ${audioTrack ? `<audio class="post-audio" style="display: none;" preload="none">${audioTrack}</audio>` : ''}
                 </div>`;
         },
         
         gallery: (post) => {
-            const galleryId = `gallery-${post.id}`;
+            const galleryId = `gallery-${esc(post.id)}`;
             const imgs = post.gallery.map((url, i) => 
-                `<img class="post-gallery-image ${i === 0 ? 'active' : ''}" src="${esc(url)}" alt="" ${i === 0 ? '' : 'loading="lazy"'} onload="this.classList.add('loaded')" />`
+                `<img class="post-gallery-image ${i === 0 ? 'active' : ''}" src="${escMediaUrl(url)}" alt="" ${i === 0 ? '' : 'loading="lazy"'} />`
             ).join('');
             const dots = post.gallery.map((_, i) => 
                 `<span class="gallery-dot ${i === 0 ? 'active' : ''}" data-index="${i}"></span>`
@@ -1925,9 +3621,13 @@
     // ============================================================================
     function createPostHTML(post) {
         const isBookmarked = state.feeds.starred.posts.some(p => p.id === post.id);
+        const muteRule = state.showMuted ? findMuteRule(post, getBaseFeed(state.current)) : null;
+        const watchTerms = getWatchMatches(post);
         
         return `
-            <div class="post">
+            <div class="post${muteRule ? ' muted' : ''}${watchTerms.length > 0 ? ' watch-match' : ''}${isRead(post) ? ' read' : ''}" data-post-id="${esc(post.id)}">
+                ${muteRule ? `<div class="muted-reason">🔇 Muted by ${esc(describeMuteRule(muteRule))}</div>` : ''}
+                ${watchTerms.length > 0 ? templates.watchAlert(watchTerms) : ''}
                 ${templates.postHeader(post, isBookmarked)}
                 ${templates.postTitle(post)}
                 ${getMediaHTML(post)}
@@ -1945,12 +3645,12 @@
                 return templates.videoPreview(post, thumbnail);
             }
             
-            return `<video class="post-image" controls preload="metadata"><source src="${esc(post.video_url)}" type="video/mp4"></video>`;
+            return `<video class="post-image" controls preload="metadata"><source src="${escMediaUrl(post.video_url)}" type="video/mp4"></video>`;
         }
         
         if (post.gallery && post.gallery.length > 0 && !post.is_video) {
             if (post.gallery.length === 1) {
-                return `<img class="post-image" src="${esc(post.gallery[0])}" alt="" loading="lazy" />`;
+                return `<img class="post-image" src="${escMediaUrl(post.gallery[0])}" alt="" loading="lazy" />`;
             }
             
             return templates.gallery(post);
@@ -1959,9 +3659,37 @@
         return '';
     }
 
-    window.playVideo = function(container, videoUrl, audioUrl) {
-        if (!navigator.onLine) {
-            showToast('You must be online to play videos', { type: 'warning' });
+    // Object URLs for videos played from the media cache, reused across plays
+    const savedVideoUrls = new Map();
+
+    // Object URL for a track saved with saveVideoOffline(), or null
+    async function getSavedTrackUrl(url) {
+        if (!url || !('caches' in window)) return null;
+        if (savedVideoUrls.has(url)) return savedVideoUrls.get(url);
+        
+        const response = await caches.match(url, { cacheName: ENP.MEDIA_CACHE });
+        if (!response) return null;
+        
+        const objectUrl = URL.createObjectURL(await response.blob());
+        savedVideoUrls.set(url, objectUrl);
+        return objectUrl;
+    }
+
+    async function playVideo(container, postId) {
+        const post = findPostById(postId);
+        if (!post) return;
+        const videoUrl = post.video_url;
+        const audioUrl = post.audio_url;
+        
+        // Saved videos play from the media cache - whole files, so no range
+        // requests for the service worker to answer while offline
+        const [savedVideo, savedAudio] = await Promise.all([
+            getSavedTrackUrl(videoUrl).catch(() => null),
+            getSavedTrackUrl(audioUrl).catch(() => null)
+        ]);
+        
+        if (!savedVideo && !navigator.onLine) {
+            showToast('You must be online to play videos that are not saved offline', { type: 'warning' });
             return;
         }
         
@@ -1977,10 +3705,13 @@
             video.style.display = 'block';
             video.muted = false;
             video.volume = 1.0;
+            // A src attribute takes precedence over the <source> children
+            if (savedVideo) video.src = savedVideo;
             video.load();
             
             // If there's a separate audio track, sync it with video
             if (audio && audioUrl) {
+                if (savedAudio) audio.src = savedAudio;
                 audio.load();
                 audio.volume = 1.0;
                 
@@ -1997,43 +3728,53 @@
             
             video.play().catch(err => console.log('Video play failed:', err));
         }
-    };
+    }
+
+    // Text of rendered markup with list items, rows and cells kept apart
+    function getSpacedText(node) {
+        const clone = node.cloneNode(true);
+        if (clone.querySelectorAll) clone.querySelectorAll('li, tr, th, td, p, br').forEach(el => el.after(' '));
+        return clone.textContent.replace(/\s+/g, ' ').trim();
+    }
 
     function getTextHTML(post) {
         if (!post.selftext) return '';
         
-        let text = post.selftext;
-        
-        // Convert HTML anchor tags to clickable links
-        text = text.replace(/<a\s+href="([^"]+)"[^>]*>([^<]+)<\/a>/gi, '<a href="$1" target="_blank" rel="noopener">$2</a>');
-        
-        // Convert markdown links
-        text = text.replace(/\[([^\]]+)\]\(([^\)]+)\)/g, '<a href="$2" target="_blank" rel="noopener">$1</a>');
-        
-        // Escape HTML (but preserve the links we just created)
-        const tempDiv = document.createElement('div');
-        tempDiv.innerHTML = text;
-        text = tempDiv.textContent || tempDiv.innerText;
-        
-        // Re-apply the link conversion after escaping
-        text = text.replace(/<a\s+href="([^"]+)"[^>]*>([^<]+)<\/a>/gi, '<a href="$1" target="_blank" rel="noopener">$2</a>');
-        text = text.replace(/\[([^\]]+)\]\(([^\)]+)\)/g, '<a href="$2" target="_blank" rel="noopener">$1</a>');
-        
-        // Convert plain URLs to clickable links
-        text = text.replace(/(https?:\/\/[^\s<]+)/g, '<a href="$1" target="_blank" rel="noopener">$1</a>');
-        
-        // Convert newlines to <br>
-        text = text.replace(/\n/g, '<br>');
+        // Markdown output is never trusted - only allowlisted markup reaches the page
+        const fragment = ENP.sanitizer.sanitizeFragment(ENP.markdown.render(post.selftext));
+        const blocks = [...fragment.childNodes].map(node => ({
+            node,
+            html: node.nodeType === Node.ELEMENT_NODE ? node.outerHTML : esc(node.textContent),
+            text: node.textContent
+        }));
+        const text = blocks.map(block => block.html).join('');
+        
+        // Preview whole blocks up to MAX_POST_TEXT_LENGTH characters of text, so a
+        // table or list is never cut in half
+        let previewCount = 0;
+        let previewLength = 0;
+        while (previewCount < blocks.length &&
+               previewLength + blocks[previewCount].text.length <= CONFIG.MAX_POST_TEXT_LENGTH) {
+            previewLength += blocks[previewCount].text.length;
+            previewCount++;
+        }
         
-        // Check if text is too long
-        if (text.length > CONFIG.MAX_POST_TEXT_LENGTH) {
-            const preview = text.substring(0, CONFIG.MAX_POST_TEXT_LENGTH) + '...';
+        if (previewCount < blocks.length) {
+            let preview = blocks.slice(0, previewCount).map(block => block.html).join('');
+            
+            // The first block alone is too long - one long paragraph, table or list.
+            // Its plain text stands in, cut at a word.
+            if (previewCount === 0) {
+                const head = getSpacedText(blocks[0].node).slice(0, CONFIG.MAX_POST_TEXT_LENGTH + 1);
+                const wordEnd = head.search(/\s\S*$/);
+                preview = `<p>${esc((wordEnd > 0 ? head.slice(0, wordEnd) : head.slice(0, -1)).trimEnd())}…</p>`;
+            }
             
             return `
                 <div class="post-text">
                     <div class="post-text-preview">${preview}</div>
                     <div class="post-text-full" style="display: none;">${text}</div>
-                    <button class="post-text-toggle" onclick="window.togglePostText(this)">Read More</button>
+                    <button class="post-text-toggle" data-action="toggle-text">Read More</button>
                 </div>
             `;
         }
@@ -2041,7 +3782,42 @@
         return `<div class="post-text">${text}</div>`;
     }
 
-    window.togglePostText = function(button) {
+    function getCommentsHTML(comments) {
+        if (comments.tree.length === 0) {
+            return '<div class="comments-status">No comments</div>';
+        }
+        
+        return `
+            <div class="comments-status">Saved ${formatTime(comments.fetchedAt / 1000)}</div>
+            ${comments.tree.map(templates.comment).join('')}`;
+    }
+
+    function toggleComments(button, postId) {
+        const container = button.closest('.post').querySelector('.post-comments');
+        if (!container) return;
+        
+        if (container.style.display !== 'none') {
+            container.style.display = 'none';
+            return;
+        }
+        container.style.display = 'block';
+        
+        const post = findPostById(postId);
+        if (post && post.comments) {
+            container.innerHTML = getCommentsHTML(post.comments);
+            return;
+        }
+        
+        if (post) queueCommentsJob(post);
+        if (navigator.onLine) {
+            container.innerHTML = '<div class="comments-status">Loading comments...</div>';
+            processSyncQueue();
+        } else {
+            container.innerHTML = '<div class="comments-status">Comments were not saved for offline reading. They will be fetched when you are back online.</div>';
+        }
+    }
+
+    function togglePostText(button) {
         const container = button.parentElement;
         const preview = container.querySelector('.post-text-preview');
         const full = container.querySelector('.post-text-full');
@@ -2057,12 +3833,20 @@
             full.style.display = 'none';
             button.textContent = 'Read More';
         }
-    };
+    }
 
+    // Escapes quotes as well, so values are safe inside attributes
     function esc(str) {
-        const div = document.createElement('div');
-        div.textContent = str;
-        return div.innerHTML;
+        return ENP.sanitizer.escapeHTML(str);
+    }
+
+    // Reddit URLs that failed the scheme allowlist (javascript:, data:, ...) become empty
+    function escUrl(url) {
+        return esc(ENP.sanitizer.safeUrl(url));
+    }
+
+    function escMediaUrl(url) {
+        return esc(ENP.sanitizer.safeMediaUrl(url));
     }
 
     function formatTime(timestamp) {
@@ -2126,6 +3910,118 @@
     // ============================================================================
     // SUBREDDIT MANAGEMENT
     // ============================================================================
+
+    // Followed subreddits are { name, sort }, sort being the listing they are
+    // fetched from - see ENP.SUBREDDIT_SORTS
+    const SORT_LABELS = {
+        hot: 'Hot',
+        new: 'New',
+        top: 'Top today',
+        rising: 'Rising'
+    };
+
+    // Why a followed subreddit can't be fetched - or, for one added offline, that
+    // it hasn't been looked up yet. Entries without a status are fine
+    const SUBREDDIT_STATUS_LABELS = {
+        pending: 'Not checked yet',
+        not_found: 'Not found',
+        private: 'Private',
+        banned: 'Banned',
+        quarantined: 'Quarantined'
+    };
+
+    function createSubredditEntry(name, sort = 'hot', status = null) {
+        const entry = { name, sort: Object.hasOwn(SORT_LABELS, sort) ? sort : 'hot' };
+        if (status && Object.hasOwn(SUBREDDIT_STATUS_LABELS, status)) entry.status = status;
+        return entry;
+    }
+
+    // The followed entry for a subreddit name, or null
+    function findSubreddit(name) {
+        return state.subreddits.find(sub => sub.name.toLowerCase() === name.toLowerCase()) || null;
+    }
+
+    // Switch the listing a subreddit is fetched from, and fetch it again right away
+    function setSubredditSort(name, sort) {
+        const entry = findSubreddit(name);
+        if (!entry || entry.sort === sort) return;
+        
+        state.subreddits = state.subreddits.map(sub => sub === entry ? createSubredditEntry(entry.name, sort, entry.status) : sub);
+        saveState();
+        renderSubreddits();
+        showToast(`r/${entry.name} will be fetched by ${SORT_LABELS[sort].toLowerCase()}`, { type: 'success' });
+        
+        queueSyncJob('fetch_subreddit', entry.name);
+        processSyncQueue();
+    }
+
+    /**
+     * Record what Reddit said about a followed subreddit
+     * @param {string|null} status - One of SUBREDDIT_STATUS_LABELS, or null once it fetches fine
+     * @param {string} [canonicalName] - The name as Reddit spells it
+     */
+    function setSubredditStatus(name, status, canonicalName = null) {
+        const entry = findSubreddit(name);
+        if (!entry) return;
+        
+        const newName = canonicalName || entry.name;
+        if ((entry.status || null) === status && entry.name === newName) return;
+        
+        state.subreddits = state.subreddits.map(sub => sub === entry ? createSubredditEntry(newName, entry.sort, status) : sub);
+        debouncedSave();
+        renderSubreddits();
+        
+        // Say so once, when a subreddit that worked stops working
+        if (status && status !== 'pending' && (!entry.status || entry.status === 'pending')) {
+            showToast(`r/${newName} can't be fetched: ${SUBREDDIT_STATUS_LABELS[status].toLowerCase()}`, { type: 'warning' });
+        }
+    }
+
+    // Look up subreddits added while offline, now that Reddit can be asked
+    async function validatePendingSubreddits() {
+        const pending = state.subreddits.filter(sub => sub.status === 'pending');
+        for (const sub of pending) {
+            if (!navigator.onLine) return;
+            try {
+                const result = await checkSubreddit(sub.name);
+                setSubredditStatus(sub.name, result.status, result.name);
+            } catch (error) {
+                console.warn(`Could not check r/${sub.name}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Ask Reddit again about a subreddit flagged as unavailable - adding it once
+     * more is how the user asks for this, since full refreshes skip it
+     */
+    async function recheckSubreddit(name) {
+        if (!navigator.onLine) {
+            setSubredditStatus(name, 'pending');
+            showToast(`r/${name} will be checked once you're back online`, { type: 'info' });
+            return;
+        }
+        
+        let result;
+        try {
+            result = await checkSubreddit(name);
+        } catch (error) {
+            console.warn(`Could not check r/${name}:`, error);
+            showToast(`Could not check r/${name}`, { type: 'error' });
+            return;
+        }
+        
+        setSubredditStatus(name, result.status, result.name);
+        if (result.status) {
+            showToast(`r/${result.name} is still unavailable: ${SUBREDDIT_STATUS_LABELS[result.status].toLowerCase()}`, { type: 'warning' });
+            return;
+        }
+        
+        showToast(`r/${result.name} is available again`, { type: 'success' });
+        queueSyncJob('fetch_subreddit', result.name);
+        processSyncQueue();
+    }
+
     function renderSubreddits() {
         const list = document.getElementById('subredditList');
         const blockedList = document.getElementById('blockedList');
@@ -2136,15 +4032,18 @@
         if (list) {
             // Sort subreddits A-Z
             const sortedSubs = [...state.subreddits].sort((a, b) => 
-                a.toLowerCase().localeCompare(b.toLowerCase())
+                a.name.toLowerCase().localeCompare(b.name.toLowerCase())
             );
             
             const title = '<h3 style="font-size: 14px; margin-bottom: 10px; color: var(--text-secondary);">Followed Subreddits</h3>';
             const content = sortedSubs.length === 0 
                 ? '<span style="color: var(--text-secondary);">No subreddits added yet</span>'
-                : sortedSubs.map(sub => 
-                    `<span class="subreddit-tag" onclick="window.removeSubreddit('${sub}')">r/${sub} ×</span>`
-                  ).join('');
+                : sortedSubs.map(sub => {
+                    const sort = sub.sort !== 'hot' ? ` · ${esc(SORT_LABELS[sub.sort])}` : '';
+                    const status = sub.status ? ` · ${esc(SUBREDDIT_STATUS_LABELS[sub.status])}` : '';
+                    const statusClass = sub.status ? ` ${sub.status === 'pending' ? 'pending' : 'unavailable'}` : '';
+                    return `<span class="subreddit-tag${statusClass}" data-action="remove-subreddit" data-subreddit="${esc(sub.name)}">r/${esc(sub.name)}${sort}${status} ×</span>`;
+                  }).join('');
             
             list.innerHTML = title + content;
         }
@@ -2161,7 +4060,7 @@
                 );
                 
                 blockedList.innerHTML = sortedBlocked.map(sub => 
-                    `<span class="subreddit-tag blocked" onclick="window.unblockSubreddit('${sub}')">r/${sub} ×</span>`
+                    `<span class="subreddit-tag blocked" data-action="unblock-subreddit" data-subreddit="${esc(sub)}">r/${esc(sub)} ×</span>`
                 ).join('');
             }
         }
@@ -2178,13 +4077,36 @@
                 );
                 
                 blockedUsersList.innerHTML = sortedBlockedUsers.map(user => 
-                    `<span class="subreddit-tag blocked" onclick="window.unblockUser('${user}')">u/${user} ×</span>`
+                    `<span class="subreddit-tag blocked" data-action="unblock-user" data-user="${esc(user)}">u/${esc(user)} ×</span>`
                 ).join('');
             }
         }
+        
+        renderCustomFeedsList();
+        
+        const popularRegionSelect = document.getElementById('popularRegionSelect');
+        if (popularRegionSelect) popularRegionSelect.value = state.popularRegion;
+        
+        const watchlistList = document.getElementById('watchlistList');
+        if (watchlistList) {
+            watchlistList.innerHTML = state.watchlist.length === 0
+                ? '<span style="color: var(--text-secondary); font-size: 12px;">Nothing on your watchlist</span>'
+                : state.watchlist.map(term => 
+                    `<span class="subreddit-tag watch" data-action="remove-watch-term" data-term="${esc(term)}">${esc(term)} ×</span>`
+                  ).join('');
+        }
+        
+        const muteRulesList = document.getElementById('muteRulesList');
+        if (muteRulesList) {
+            muteRulesList.innerHTML = state.muteRules.length === 0
+                ? '<span style="color: var(--text-secondary); font-size: 12px;">No mute rules</span>'
+                : state.muteRules.map(rule => 
+                    `<span class="subreddit-tag blocked" data-action="remove-mute-rule" data-rule-id="${esc(rule.id)}">${esc(describeMuteRule(rule))} ×</span>`
+                  ).join('');
+        }
     }
 
-    window.unblockUser = function(username) {
+    function unblockUser(username) {
         showConfirm(
             `Unblock u/${username}? Posts from this user will appear again in your feeds.`,
             () => {
@@ -2193,9 +4115,9 @@
                 showToast(`Unblocked u/${username}`, { type: 'success' });
             }
         );
-    };
+    }
 
-    function addSubreddit() {
+    async function addSubreddit() {
         const input = document.getElementById('subredditInput');
         if (!input) return;
         
@@ -2208,26 +4130,67 @@
             return;
         }
         
-        if (state.subreddits.some(s => s.toLowerCase() === sub.toLowerCase())) {
-            showToast('Subreddit already added', { type: 'warning' });
+        const existing = findSubreddit(sub);
+        if (existing) {
+            if (ENP.isRefreshableSubreddit(existing)) {
+                showToast('Subreddit already added', { type: 'warning' });
+            } else {
+                input.value = '';
+                await recheckSubreddit(existing.name);
+            }
             return;
         }
         
-        state.subreddits.push(sub);
+        // Ask Reddit first, so typos and closed subreddits aren't followed. Offline,
+        // the subreddit is added unchecked and looked up once we're back online
+        let entry = createSubredditEntry(sub, 'hot', 'pending');
+        if (navigator.onLine) {
+            const btn = document.getElementById('addSubredditBtn');
+            if (btn) {
+                btn.disabled = true;
+                btn.textContent = 'Checking...';
+            }
+            try {
+                const result = await checkSubreddit(sub);
+                if (result.status) {
+                    showToast(`Can't follow r/${sub}: ${SUBREDDIT_STATUS_LABELS[result.status].toLowerCase()}`, { type: 'warning' });
+                    return;
+                }
+                entry = createSubredditEntry(result.name);
+            } catch (error) {
+                console.warn(`Could not check r/${sub}:`, error);
+            } finally {
+                if (btn) {
+                    btn.disabled = false;
+                    btn.textContent = 'Add Subreddit';
+                }
+            }
+            
+            // Reddit's spelling may match one we follow, or it was added meanwhile
+            if (findSubreddit(entry.name)) {
+                showToast('Subreddit already added', { type: 'warning' });
+                return;
+            }
+        }
+        
+        state.subreddits.push(entry);
         saveState();
         input.value = '';
         renderSubreddits();
         toggleSidebar();
+        if (entry.status === 'pending') {
+            showToast(`Added r/${entry.name} - it will be checked once you're back online`, { type: 'info' });
+        }
         
-        queueSyncJob('fetch_subreddit', sub);
+        queueSyncJob('fetch_subreddit', entry.name);
         processSyncQueue();
     }
 
-    window.removeSubreddit = function(sub) {
+    function removeSubreddit(sub) {
         showConfirm(
             `Remove r/${sub}? This will also delete all cached posts from this subreddit.`,
             () => {
-                state.subreddits = state.subreddits.filter(s => s.toLowerCase() !== sub.toLowerCase());
+                state.subreddits = state.subreddits.filter(s => s.name.toLowerCase() !== sub.toLowerCase());
                 state.feeds.my.posts = state.feeds.my.posts.filter(p => p.subreddit.toLowerCase() !== sub.toLowerCase());
                 state.feeds.my.pending.posts = state.feeds.my.pending.posts.filter(p => p.subreddit.toLowerCase() !== sub.toLowerCase());
                 state.feeds.my.pending.count = state.feeds.my.pending.posts.length;
@@ -2241,9 +4204,9 @@
                 showToast(`Removed r/${sub}`, { type: 'success' });
             }
         );
-    };
+    }
 
-    window.unblockSubreddit = function(sub) {
+    function unblockSubreddit(sub) {
         showConfirm(
             `Unblock r/${sub}? Posts from this subreddit will appear again in your Popular feed.`,
             () => {
@@ -2253,183 +4216,1971 @@
                 showToast(`Unblocked r/${sub}`, { type: 'success' });
             }
         );
-    };
+    }
 
-    function refreshPosts() {
-        // Check if already processing
-        if (state.isProcessingQueue) {
-            addLog('Refresh skipped - already syncing', 'info');
-            return;
-        }
+    // ============================================================================
+    // READ STATE - Which posts have been seen, by post ID
+    // ============================================================================
+
+    // Read post IDs bucketed by the UTC day the post was created, so whole days can
+    // be dropped once their posts are too old for any feed. Saved in the settings
+    // blob as { day: 'id id id' } - under 8 bytes a post.
+    const readByDay = new Map(); // day -> Set of post IDs
+    const readIds = new Set();
+
+    // Posts the current view lists (all pages), for "Mark all read"
+    let currentFeedPosts = [];
+    // Posts read by scrolling past them stay listed until the view changes, so
+    // "Hide read" doesn't pull the page out from under the reader
+    const readInView = new Set();
+
+    const dayOf = post => Math.floor(post.created_utc / 86400);
+
+    function loadReadState(saved) {
+        readByDay.clear();
+        readIds.clear();
+        Object.entries(saved || {}).forEach(([day, ids]) => {
+            const set = new Set(String(ids).split(' ').filter(Boolean));
+            if (set.size === 0) return;
+            readByDay.set(Number(day), set);
+            set.forEach(id => readIds.add(id));
+        });
+    }
+
+    function serializeReadState() {
+        const saved = {};
+        readByDay.forEach((ids, day) => {
+            saved[day] = [...ids].join(' ');
+        });
+        return saved;
+    }
+
+    function isRead(post) {
+        return readIds.has(post.id);
+    }
+
+    /**
+     * @returns {number} Posts that were unread until now
+     */
+    function markRead(posts) {
+        let marked = 0;
+        posts.forEach(post => {
+            if (readIds.has(post.id)) return;
+            const day = dayOf(post);
+            if (!readByDay.has(day)) readByDay.set(day, new Set());
+            readByDay.get(day).add(post.id);
+            readIds.add(post.id);
+            marked++;
+        });
         
-        if (!navigator.onLine) {
-            addLog('Offline - updates queued', 'warning');
-            showToast('You are offline. Updates queued for when connection is restored.', { type: 'info' });
-            // Queue jobs for both feeds when offline
-            state.subreddits.forEach(sub => {
-                queueSyncJob('fetch_subreddit', sub);
+        if (marked > 0) {
+            debouncedSave();
+            scheduleUnreadBadgeUpdate();
+        }
+        return marked;
+    }
+
+    // Drop read marks of posts past the age limit - except starred ones, which are kept forever
+    function pruneReadState() {
+        const cutoff = Math.floor((Date.now() / 1000 - CONFIG.MAX_POST_AGE_DAYS * 86400) / 86400) - 1;
+        const starredIds = new Set(state.feeds.starred.posts.map(p => p.id));
+        
+        readByDay.forEach((ids, day) => {
+            if (day >= cutoff) return;
+            ids.forEach(id => {
+                if (!starredIds.has(id)) {
+                    ids.delete(id);
+                    readIds.delete(id);
+                }
             });
-            queueSyncJob('fetch_popular');
+            if (ids.size === 0) readByDay.delete(day);
+        });
+    }
+
+    function markPostElementRead(postEl) {
+        const post = findPostById(postEl.dataset.postId);
+        if (!post) return;
+        postEl.classList.add('read');
+        if (readObserver) readObserver.unobserve(postEl);
+        readInView.add(post.id);
+        markRead([post]);
+    }
+
+    // A post counts as read once it has scrolled up past the top of the screen
+    const readObserver = 'IntersectionObserver' in window ? new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+            if (!entry.isIntersecting && entry.boundingClientRect.bottom <= 0) {
+                markPostElementRead(entry.target);
+            }
+        });
+    }) : null;
+
+    function observeReadPosts(container) {
+        if (!readObserver) return;
+        readObserver.disconnect();
+        container.querySelectorAll('.post[data-post-id]:not(.read)').forEach(el => readObserver.observe(el));
+    }
+
+    function markAllRead() {
+        const marked = markRead(currentFeedPosts);
+        if (marked === 0) {
+            showToast('Everything here is already read', { type: 'info' });
             return;
         }
         
-        // Reset sync stats
-        state.syncStats = { filtered: 0 };
-        
-        addLog(`Starting refresh for ${state.subreddits.length} subreddits`, 'info');
-        
-        if (document.getElementById('sidebar')?.classList.contains('open')) {
-            toggleSidebar();
-        }
-        
-        // Always refresh both My Feed and Popular feed
-        state.subreddits.forEach(sub => {
-            queueSyncJob('fetch_subreddit', sub);
-        });
-        queueSyncJob('fetch_popular');
-        
-        // Start processing queue immediately
-        processSyncQueue();
-        
-        // Track last sync time for auto-refresh logic
-        localStorage.setItem('lastSyncTime', Date.now().toString());
+        readInView.clear();
+        resetFeedPagination(state.current);
+        renderPosts();
+        showToast(`Marked ${marked} ${marked === 1 ? 'post' : 'posts'} as read`, { type: 'success' });
     }
 
-    async function exportSubreddits() {
-        const data = {
-            version: '1.0',
+    function toggleHideRead() {
+        state.hideRead = !state.hideRead;
+        readInView.clear();
+        resetFeedPagination(state.current);
+        saveState();
+        renderPosts();
+    }
+
+    function updateFeedActions() {
+        const actions = document.getElementById('feedActions');
+        const hideReadToggle = document.getElementById('hideReadToggle');
+        if (actions) actions.style.display = state.subreddits.length > 0 && !state.search ? 'flex' : 'none';
+        if (hideReadToggle) {
+            hideReadToggle.textContent = state.hideRead ? 'Show read' : 'Hide read';
+            hideReadToggle.classList.toggle('active', state.hideRead);
+        }
+        
+        const feedOrderSelect = document.getElementById('feedOrderSelect');
+        if (feedOrderSelect) feedOrderSelect.value = getActiveOrder();
+    }
+
+    // Posts a feed shows (ignoring paging), for counting what is unread in it
+    function getUnreadPosts(feed) {
+        const custom = getCustomFeed(feed);
+        const baseFeed = getBaseFeed(feed);
+        const posts = baseFeed === 'popular' ? state.feeds.popular.filtered : state.feeds[baseFeed].posts;
+        return posts.filter(post =>
+            (!custom || inCustomFeed(custom, post)) &&
+            !isRead(post) &&
+            !state.blockedUsers.some(u => u.toLowerCase() === post.author.toLowerCase()) &&
+            !findMuteRule(post, baseFeed)
+        );
+    }
+
+    // Unread counts on the My Feed and Popular tabs and on the subreddit chips
+    function updateUnreadBadges() {
+        const format = count => count > 0 ? (count > 99 ? '99+' : String(count)) : '';
+        const myUnread = getUnreadPosts('my');
+        
+        const myBadge = document.querySelector('#myFeedTab .unread-badge');
+        const popularBadge = document.querySelector('#popularFeedTab .unread-badge');
+        if (myBadge) myBadge.textContent = format(myUnread.length);
+        if (popularBadge) popularBadge.textContent = format(getUnreadPosts('popular').length);
+        document.querySelectorAll('#feedTabs .feed-tab.custom .unread-badge').forEach(badge => {
+            badge.textContent = format(getUnreadPosts(badge.parentElement.dataset.feed).length);
+        });
+        
+        const bySubreddit = {};
+        myUnread.forEach(post => {
+            const key = post.subreddit.toLowerCase();
+            bySubreddit[key] = (bySubreddit[key] || 0) + 1;
+        });
+        document.querySelectorAll('.filter-chip[data-filter]').forEach(chip => {
+            const badge = chip.querySelector('.unread-badge');
+            if (badge) badge.textContent = format(bySubreddit[chip.dataset.filter.toLowerCase()] || 0);
+        });
+    }
+
+    // Scrolling marks posts read one by one - recount once it settles
+    let unreadBadgeTimer = null;
+    function scheduleUnreadBadgeUpdate() {
+        clearTimeout(unreadBadgeTimer);
+        unreadBadgeTimer = setTimeout(updateUnreadBadges, 300);
+    }
+
+    // ============================================================================
+    // CUSTOM FEEDS - Named groups of followed subreddits, each with its own tab
+    // ============================================================================
+
+    // A custom feed is a view of My Feed made of some of its subreddits:
+    // { id, name, subreddits, filter, order }. It is opened as state.current =
+    // 'custom:<id>' and keeps its own subreddit filter and order.
+    const CUSTOM_FEED_PREFIX = 'custom:';
+    const CUSTOM_FEED_NAME_MAX = 30;
+
+    // Page reached in each custom feed, by ID (the built-in feeds keep currentPage)
+    const customFeedPages = new Map();
+
+    // The custom feed a feed key opens, or null for My Feed, Popular and Starred
+    function getCustomFeed(feedKey) {
+        if (typeof feedKey !== 'string' || !feedKey.startsWith(CUSTOM_FEED_PREFIX)) return null;
+        const id = feedKey.slice(CUSTOM_FEED_PREFIX.length);
+        return state.customFeeds.find(feed => feed.id === id) || null;
+    }
+
+    // The feed whose posts a feed key shows
+    function getBaseFeed(feedKey) {
+        return getCustomFeed(feedKey) ? 'my' : feedKey;
+    }
+
+    function inCustomFeed(feed, post) {
+        return feed.subreddits.some(sub => sub.toLowerCase() === post.subreddit.toLowerCase());
+    }
+
+    /**
+     * @param {string} name
+     * @param {string[]} subreddits - Subreddit names
+     * @throws {Error} With a message fit to show the user
+     */
+    function createCustomFeed(name, subreddits) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) throw new Error('Give the feed a name');
+        if (trimmed.length > CUSTOM_FEED_NAME_MAX) throw new Error(`Feed names are at most ${CUSTOM_FEED_NAME_MAX} characters`);
+        
+        const subs = [...new Set((Array.isArray(subreddits) ? subreddits : [])
+            .filter(sub => typeof sub === 'string' && /^[a-zA-Z0-9_]{2,21}$/.test(sub)))];
+        if (subs.length === 0) throw new Error('Pick at least one subreddit for the feed');
+        
+        return {
+            id: `feed-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            name: trimmed,
+            subreddits: subs,
+            filter: 'all',
+            order: 'newest'
+        };
+    }
+
+    function findCustomFeedByName(name) {
+        const key = String(name || '').trim().toLowerCase();
+        return state.customFeeds.find(feed => feed.name.toLowerCase() === key) || null;
+    }
+
+    // Create a feed from the form, or update the one with the same name
+    function saveCustomFeed() {
+        const input = document.getElementById('customFeedName');
+        if (!input) return;
+        
+        const subreddits = [...document.querySelectorAll('#customFeedSubs input:checked')].map(box => box.value);
+        
+        let feed;
+        try {
+            feed = createCustomFeed(input.value, subreddits);
+        } catch (error) {
+            showToast(error.message, { type: 'warning' });
+            return;
+        }
+        
+        const existing = findCustomFeedByName(feed.name);
+        if (existing) {
+            existing.subreddits = feed.subreddits;
+            if (!existing.subreddits.some(sub => sub.toLowerCase() === existing.filter.toLowerCase())) {
+                existing.filter = 'all';
+            }
+        } else {
+            state.customFeeds = [...state.customFeeds, feed];
+        }
+        
+        input.value = '';
+        document.querySelectorAll('#customFeedSubs input:checked').forEach(box => { box.checked = false; });
+        updateFeedTabsVisibility();
+        updateAllViews();
+        showToast(existing ? `Updated ${existing.name}` : `Created ${feed.name}`, { type: 'success' });
+    }
+
+    // Tick the subreddits of the feed being typed, if it already exists
+    function loadCustomFeedForm(name) {
+        const feed = findCustomFeedByName(name);
+        const button = document.getElementById('saveCustomFeedBtn');
+        if (button) button.textContent = feed ? 'Update Feed' : 'Create Feed';
+        if (!feed) return;
+        
+        document.querySelectorAll('#customFeedSubs input').forEach(box => {
+            box.checked = feed.subreddits.some(sub => sub.toLowerCase() === box.value.toLowerCase());
+        });
+    }
+
+    function removeCustomFeed(id) {
+        const feed = state.customFeeds.find(f => f.id === id);
+        if (!feed) return;
+        
+        showConfirm(
+            `Delete the ${feed.name} feed? Its posts stay in My Feed.`,
+            () => {
+                state.customFeeds = state.customFeeds.filter(f => f.id !== id);
+                customFeedPages.delete(id);
+                updateFeedTabsVisibility();
+                if (state.current === CUSTOM_FEED_PREFIX + id) switchFeed('my');
+                updateAllViews();
+                showToast(`Deleted ${feed.name}`, { type: 'success' });
+            }
+        );
+    }
+
+    // Custom feed tabs go between Popular and Starred
+    function renderCustomFeedTabs() {
+        const starredTab = document.getElementById('starredFeedTab');
+        if (!starredTab) return;
+        
+        document.querySelectorAll('#feedTabs .feed-tab.custom').forEach(tab => tab.remove());
+        state.customFeeds.forEach(feed => {
+            const tab = document.createElement('button');
+            const key = CUSTOM_FEED_PREFIX + feed.id;
+            tab.className = `feed-tab custom${state.current === key ? ' active' : ''}`;
+            tab.dataset.feed = key;
+            tab.innerHTML = `${esc(feed.name)}<span class="unread-badge"></span>`;
+            tab.onclick = () => switchFeed(key);
+            starredTab.before(tab);
+        });
+        updateUnreadBadges();
+    }
+
+    // Subreddit checkboxes and the list of feeds in the settings panel
+    function renderCustomFeedsList() {
+        const subsBox = document.getElementById('customFeedSubs');
+        const list = document.getElementById('customFeedsList');
+        
+        if (subsBox) {
+            // Keep what is ticked while the panel re-renders
+            const checked = new Set([...subsBox.querySelectorAll('input:checked')].map(box => box.value.toLowerCase()));
+            subsBox.innerHTML = [...state.subreddits]
+                .sort((a, b) => a.name.toLowerCase().localeCompare(b.name.toLowerCase()))
+                .map(sub => `
+                    <label class="custom-feed-sub">
+                        <input type="checkbox" value="${esc(sub.name)}"${checked.has(sub.name.toLowerCase()) ? ' checked' : ''}>
+                        r/${esc(sub.name)}
+                    </label>`)
+                .join('');
+        }
+        
+        if (list) {
+            list.innerHTML = state.customFeeds.length === 0
+                ? '<span style="color: var(--text-secondary); font-size: 12px;">No custom feeds</span>'
+                : state.customFeeds.map(feed => 
+                    `<span class="subreddit-tag" data-action="remove-custom-feed" data-feed-id="${esc(feed.id)}" title="${esc(feed.subreddits.map(sub => `r/${sub}`).join(', '))}">${esc(feed.name)} (${feed.subreddits.length}) ×</span>`
+                  ).join('');
+        }
+    }
+
+    // ============================================================================
+    // WATCHLIST - Flag, pin and notify about new posts mentioning chosen words
+    // ============================================================================
+
+    // Matching terms per post, recomputed whenever state.watchlist is replaced
+    let watchMatchCache = { source: null, matches: new WeakMap() };
+
+    /**
+     * @returns {string[]} Watchlist terms in the post's title or text
+     */
+    function getWatchMatches(post) {
+        if (watchMatchCache.source !== state.watchlist) {
+            watchMatchCache = { source: state.watchlist, matches: new WeakMap() };
+        }
+        if (!watchMatchCache.matches.has(post)) {
+            watchMatchCache.matches.set(post, ENP.matchWatchlist(post, state.watchlist));
+        }
+        return watchMatchCache.matches.get(post);
+    }
+
+    function isPinnedWatchMatch(post) {
+        const age = Date.now() / 1000 - post.created_utc;
+        return age < CONFIG.WATCHLIST_PIN_HOURS * 60 * 60 && getWatchMatches(post).length > 0;
+    }
+
+    // Notify about newly fetched posts on the watchlist - whether or not the
+    // new-posts toast is ever tapped
+    async function notifyWatchlistMatches(posts) {
+        const matches = posts
+            .map(post => ({ post, terms: getWatchMatches(post) }))
+            .filter(match => match.terms.length > 0);
+        if (matches.length === 0) return;
+        
+        addLog(`Watchlist: ${matches.length} new ${matches.length === 1 ? 'post matches' : 'posts match'}`, 'warning');
+        
+        if (!('Notification' in window) || Notification.permission !== 'granted') return;
+        
+        try {
+            // Mobile browsers only show notifications through the service worker
+            const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+            ENP.buildWatchNotifications(matches).forEach(({ title, options }) => {
+                if (registration) registration.showNotification(title, options);
+                else new Notification(title, options);
+            });
+        } catch (error) {
+            console.error('Could not show watchlist notification:', error);
+        }
+    }
+
+    function addWatchTerm() {
+        const input = document.getElementById('watchTermInput');
+        if (!input) return;
+        
+        const term = input.value.trim();
+        if (!term) return;
+        
+        if (state.watchlist.some(t => ENP.normalizeText(t) === ENP.normalizeText(term))) {
+            showToast('Already on your watchlist', { type: 'warning' });
+            return;
+        }
+        
+        state.watchlist = [...state.watchlist, term];
+        input.value = '';
+        updateAllViews();
+        showToast(`Watching for "${term}"`, { type: 'success' });
+        
+        // Asked while handling the tap - browsers ignore permission requests made later
+        if ('Notification' in window && Notification.permission === 'default') {
+            Notification.requestPermission().then(permission => {
+                if (permission !== 'granted') {
+                    showToast('Notifications are off - matching posts are still flagged and pinned', { type: 'info' });
+                }
+            });
+        }
+    }
+
+    function removeWatchTerm(term) {
+        showConfirm(
+            `Stop watching for "${term}"?`,
+            () => {
+                state.watchlist = state.watchlist.filter(t => t !== term);
+                updateAllViews();
+                showToast(`Removed "${term}" from your watchlist`, { type: 'success' });
+            }
+        );
+    }
+
+    // ============================================================================
+    // MUTE RULES - Hide posts in My Feed and Popular by content, link or score
+    // ============================================================================
+
+    // Rules are { id, type, value, feed } with feed 'all', 'my' or 'popular'.
+    // Starred posts are never muted - they were kept on purpose.
+    const MUTE_RULE_TYPES = {
+        keyword: { describe: value => `"${value}"` }, // Word or phrase in the title or text
+        regex: { describe: value => `/${value}/` + (getUnsafeRegexReason(value) ? ' (disabled)' : '') }, // Pattern tested against the title and text
+        domain: { describe: value => value }, // Link to this site or its subdomains
+        min_score: { describe: value => `score under ${value}` },
+        min_comments: { describe: value => `under ${value} comments` }
+    };
+    const MUTE_RULE_FEEDS = ['all', 'my', 'popular'];
+
+    function describeMuteRule(rule) {
+        const feed = { all: '', my: ' (My Feed)', popular: ' (Popular)' }[rule.feed];
+        return MUTE_RULE_TYPES[rule.type].describe(rule.value) + feed;
+    }
+
+    // A repeating quantifier at the start of the text: *, +, {2}, {1,} or {1,5} -
+    // not ? or {1}
+    function isRepeatQuantifier(text) {
+        if (text[0] === '*' || text[0] === '+') return true;
+        const match = /^\{(\d+)(,(\d*))?\}/.exec(text);
+        if (!match) return false;
+        return match[2] ? match[3] === '' || Number(match[3]) > 1 : Number(match[1]) > 1;
+    }
+
+    /**
+     * Why a mute pattern could hang matching, or null if it's safe. Nested
+     * quantifiers like (a+)+ and backreferences can take exponential time on text
+     * that almost matches, and rules run against every post on every render - a
+     * saved rule like that would freeze the app on every launch.
+     */
+    function getUnsafeRegexReason(pattern) {
+        if (pattern.length > CONFIG.MUTE_REGEX_MAX_LENGTH) {
+            return `Patterns are at most ${CONFIG.MUTE_REGEX_MAX_LENGTH} characters`;
+        }
+        
+        const groups = [false]; // Per open group: whether anything inside repeats
+        for (let i = 0; i < pattern.length; i++) {
+            const char = pattern[i];
+            if (char === '\\') {
+                if (/[1-9k]/.test(pattern[i + 1] || '')) return 'Backreferences are not allowed';
+                i++;
+            } else if (char === '[') {
+                // Character class - quantifier characters inside are literal
+                for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+                    if (pattern[i] === '\\') i++;
+                }
+            } else if (char === '(') {
+                groups.push(false);
+            } else if (char === ')' && groups.length > 1) {
+                const repeatsInside = groups.pop();
+                const repeated = isRepeatQuantifier(pattern.slice(i + 1));
+                if (repeatsInside && repeated) return 'Repeated groups can\'t contain repeats, like (a+)+ - they can freeze the app';
+                if (repeatsInside || repeated) groups[groups.length - 1] = true;
+            } else if (isRepeatQuantifier(pattern.slice(i, i + 12))) {
+                groups[groups.length - 1] = true;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Validate and normalize a rule typed in or read from a backup
+     * @throws {Error} Message explains what is wrong, for a toast
+     */
+    function createMuteRule(type, value, feed = 'all') {
+        if (!MUTE_RULE_TYPES[type]) throw new Error(`Unknown rule type "${type}"`);
+        if (!MUTE_RULE_FEEDS.includes(feed)) throw new Error(`Unknown feed "${feed}"`);
+        
+        value = String(value ?? '').trim();
+        if (!value) throw new Error('Enter something to mute');
+        
+        if (type === 'regex') {
+            new RegExp(value, 'i'); // Throws on an invalid pattern
+            const unsafe = getUnsafeRegexReason(value);
+            if (unsafe) throw new Error(unsafe);
+        } else if (type === 'domain') {
+            value = value.toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/^www\./, '').replace(/[/?#:].*$/, '');
+            if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(value)) throw new Error('Enter a domain like example.com');
+        } else if (type === 'min_score' || type === 'min_comments') {
+            if (!/^\d{1,9}$/.test(value)) throw new Error('Enter a whole number');
+            value = parseInt(value, 10);
+        }
+        
+        return {
+            id: `mute-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            type,
+            value,
+            feed
+        };
+    }
+
+    function isSameMuteRule(a, b) {
+        return a.type === b.type && a.feed === b.feed &&
+            String(a.value).toLowerCase() === String(b.value).toLowerCase();
+    }
+
+    // Normalized title and text per post, so keyword rules don't redo it every render
+    const muteTextCache = new WeakMap();
+
+    function getMuteText(post) {
+        if (!muteTextCache.has(post)) {
+            muteTextCache.set(post, ENP.search.normalize(`${post.title}\n${post.selftext || ''}`));
+        }
+        return muteTextCache.get(post);
+    }
+
+    function getPostDomain(post) {
+        try {
+            return new URL(post.url).hostname.toLowerCase().replace(/^www\./, '');
+        } catch (error) {
+            return '';
+        }
+    }
+
+    function compileMuteRule(rule) {
+        switch (rule.type) {
+            case 'keyword': {
+                // Whole words only, ignoring case and accents: "war" doesn't mute "software"
+                const phrase = ENP.search.normalize(rule.value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${phrase}(?![\\p{L}\\p{N}])`, 'u');
+                return post => pattern.test(getMuteText(post));
+            }
+            case 'regex': {
+                // Rules saved before patterns were checked stay listed, but never run
+                const unsafe = getUnsafeRegexReason(rule.value);
+                if (unsafe) throw new Error(unsafe);
+                const pattern = new RegExp(rule.value, 'i');
+                return post => pattern.test(`${post.title}\n${post.selftext || ''}`);
+            }
+            case 'domain':
+                return post => {
+                    const domain = getPostDomain(post);
+                    return domain === rule.value || domain.endsWith(`.${rule.value}`);
+                };
+            case 'min_score':
+                return post => (post.ups || 0) < rule.value;
+            case 'min_comments':
+                return post => (post.num_comments || 0) < rule.value;
+            default:
+                return null;
+        }
+    }
+
+    // Compiled once per version of state.muteRules (the array is replaced on every change)
+    let compiledMuteRules = { source: null, matchers: [] };
+
+    function getMuteMatchers() {
+        if (compiledMuteRules.source !== state.muteRules) {
+            const matchers = [];
+            state.muteRules.forEach(rule => {
+                try {
+                    const test = compileMuteRule(rule);
+                    if (test) matchers.push({ rule, test });
+                } catch (error) {
+                    console.error('Skipping invalid mute rule:', rule, error);
+                }
+            });
+            compiledMuteRules = { source: state.muteRules, matchers };
+        }
+        return compiledMuteRules.matchers;
+    }
+
+    /**
+     * @returns {Object|null} The first rule muting the post in this feed
+     */
+    function findMuteRule(post, feed) {
+        if (feed === 'starred') return null;
+        const match = getMuteMatchers().find(({ rule, test }) =>
+            (rule.feed === 'all' || rule.feed === feed) && test(post)
+        );
+        return match ? match.rule : null;
+    }
+
+    function addMuteRule() {
+        const typeSelect = document.getElementById('muteRuleType');
+        const feedSelect = document.getElementById('muteRuleFeed');
+        const input = document.getElementById('muteRuleValue');
+        if (!typeSelect || !feedSelect || !input) return;
+        
+        let rule;
+        try {
+            rule = createMuteRule(typeSelect.value, input.value, feedSelect.value);
+        } catch (error) {
+            showToast(error.message, { type: 'warning' });
+            return;
+        }
+        
+        if (state.muteRules.some(r => isSameMuteRule(r, rule))) {
+            showToast('That rule already exists', { type: 'warning' });
+            return;
+        }
+        
+        state.muteRules = [...state.muteRules, rule];
+        input.value = '';
+        resetFeedPagination(state.current);
+        updateAllViews();
+        showToast(`Muted ${describeMuteRule(rule)}`, { type: 'success' });
+    }
+
+    function removeMuteRule(ruleId) {
+        const rule = state.muteRules.find(r => r.id === ruleId);
+        if (!rule) return;
+        
+        showConfirm(
+            `Remove the mute rule ${describeMuteRule(rule)}? Posts it hides will appear again.`,
+            () => {
+                state.muteRules = state.muteRules.filter(r => r.id !== ruleId);
+                updateAllViews();
+                showToast('Mute rule removed', { type: 'success' });
+            }
+        );
+    }
+
+    function toggleShowMuted() {
+        state.showMuted = !state.showMuted;
+        renderPosts();
+    }
+
+    function updateMutedIndicator(count) {
+        const indicator = document.getElementById('mutedIndicator');
+        if (!indicator) return;
+        
+        if (count === 0) {
+            indicator.style.display = 'none';
+            return;
+        }
+        
+        indicator.style.display = 'flex';
+        indicator.innerHTML = `
+            <span>🔇 ${count} muted ${count === 1 ? 'post' : 'posts'}</span>
+            <button class="muted-toggle" data-action="toggle-muted">${state.showMuted ? 'Hide' : 'Show'}</button>`;
+    }
+
+    function refreshPosts() {
+        // Check if already processing
+        if (state.isProcessingQueue) {
+            addLog('Refresh skipped - already syncing', 'info');
+            return;
+        }
+        
+        if (!navigator.onLine) {
+            addLog('Offline - updates queued', 'warning');
+            showToast('You are offline. Updates queued for when connection is restored.', { type: 'info' });
+            // Queue jobs for both feeds when offline
+            queueFullRefresh();
+            return;
+        }
+        
+        // Reset sync stats
+        state.syncStats = { filtered: 0, updated: 0, removed: 0 };
+        
+        addLog(`Starting refresh for ${state.subreddits.length} subreddits`, 'info');
+        
+        if (document.getElementById('sidebar')?.classList.contains('open')) {
+            toggleSidebar();
+        }
+        
+        // Always refresh both My Feed and Popular feed
+        queueFullRefresh();
+        
+        // Start processing queue immediately
+        processSyncQueue();
+        
+        // Track last sync time for auto-refresh logic
+        localStorage.setItem('lastSyncTime', Date.now().toString());
+    }
+
+    /**
+     * Save a file where the user picks, or as a download where the browser can't ask
+     * @returns {Promise<boolean>} false if the user cancelled
+     */
+    async function saveFile(blob, filename) {
+        // Try File System Access API first (allows choosing location)
+        if ('showSaveFilePicker' in window) {
+            try {
+                const handle = await window.showSaveFilePicker({
+                    suggestedName: filename,
+                    types: [{
+                        description: 'JSON Files',
+                        accept: { 'application/json': ['.json'] }
+                    }]
+                });
+                
+                const writable = await handle.createWritable();
+                await writable.write(blob);
+                await writable.close();
+                return true;
+            } catch (err) {
+                if (err.name === 'AbortError') return false; // User cancelled
+                console.error('Save picker error:', err);
+                // Fall back to download
+            }
+        }
+        
+        // Fallback: traditional download
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        return true;
+    }
+
+    // ============================================================================
+    // BACKUP FORMAT
+    // ============================================================================
+    // Backups are JSON: { version, exportDate, checksum, subreddits, customFeeds,
+    // blocked, blockedUsers, muteRules, watchlist, starredPosts, settings }. The
+    // checksum is the SHA-256 of the file's JSON without it, so a file changed
+    // after export - by hand or by a bad copy - can be told apart. Every entry is
+    // checked on import; ones that don't fit are reported and skipped, the rest
+    // still import.
+    const BACKUP_VERSION = 2;
+
+    // Steps that bring an older backup up to the next version, by the version they
+    // read. Files from before backups were versioned read as '1.0'.
+    const BACKUP_UPGRADES = {
+        // Subreddits became { name, sort } - the first exports listed bare names
+        '1.0': data => ({
+            ...data,
+            version: 2,
+            subreddits: Array.isArray(data.subreddits)
+                ? data.subreddits.map(sub => typeof sub === 'string' ? { name: sub, sort: 'hot' } : sub)
+                : data.subreddits
+        })
+    };
+
+    // Backup sections, in the order they're previewed and applied (custom feeds
+    // after the subreddits they draw from)
+    const IMPORT_SECTIONS = {
+        subreddits: { label: 'Subreddits', noun: 'subs' },
+        customFeeds: { label: 'Custom feeds', noun: 'custom feeds' },
+        blocked: { label: 'Blocked subreddits', noun: 'blocked subs' },
+        blockedUsers: { label: 'Blocked users', noun: 'blocked users' },
+        muteRules: { label: 'Mute rules', noun: 'mute rules' },
+        watchlist: { label: 'Watchlist', noun: 'watchlist terms' },
+        starredPosts: { label: 'Starred posts', noun: 'starred' },
+        settings: { label: 'Theme and Popular region', noun: 'settings' }
+    };
+
+    // One reader per list section: the clean entry, or throws saying what's wrong
+    const BACKUP_SCHEMA = {
+        subreddits: raw => {
+            if (!raw || typeof raw.name !== 'string') throw new Error('no subreddit name');
+            if (!/^[a-zA-Z0-9_]{2,21}$/.test(raw.name)) throw new Error(`"${raw.name}" is not a subreddit name`);
+            if (raw.sort !== undefined && !Object.hasOwn(SORT_LABELS, raw.sort)) throw new Error(`r/${raw.name} has an unknown sort "${raw.sort}"`);
+            return createSubredditEntry(raw.name, raw.sort);
+        },
+        customFeeds: raw => {
+            if (!raw || typeof raw !== 'object') throw new Error('not a feed');
+            const feed = createCustomFeed(raw.name, raw.subreddits);
+            if (Object.hasOwn(FEED_ORDERS, raw.order)) feed.order = raw.order;
+            return feed;
+        },
+        blocked: raw => {
+            if (typeof raw !== 'string' || !/^[a-zA-Z0-9_]{2,21}$/.test(raw.trim())) throw new Error(`"${raw}" is not a subreddit name`);
+            return raw.trim();
+        },
+        blockedUsers: raw => {
+            if (typeof raw !== 'string' || !/^[\w-]{1,20}$/.test(raw.trim())) throw new Error(`"${raw}" is not a username`);
+            return raw.trim();
+        },
+        muteRules: raw => {
+            if (!raw || typeof raw !== 'object') throw new Error('not a rule');
+            return createMuteRule(raw.type, raw.value, raw.feed || 'all');
+        },
+        watchlist: raw => {
+            if (typeof raw !== 'string' || !raw.trim()) throw new Error('empty term');
+            return raw.trim();
+        },
+        starredPosts: raw => {
+            const post = readImportedPost(raw, 'starred');
+            if (!post) throw new Error(`${raw && typeof raw.title === 'string' ? `"${raw.title}"` : 'a post'} is missing its id, title, author, subreddit, link or date`);
+            if (!/^[a-zA-Z0-9_]{2,21}$/.test(post.subreddit)) throw new Error(`"${post.title}" has an invalid subreddit`);
+            return post;
+        }
+    };
+
+    /**
+     * What a backup holds - files and QR transfers alike
+     * @param {Array} [starredPosts] - Starred posts to include (all of them by default)
+     */
+    function buildBackupData(starredPosts = state.feeds.starred.posts) {
+        return {
+            version: BACKUP_VERSION,
             exportDate: new Date().toISOString(),
-            subreddits: state.subreddits,
+            subreddits: state.subreddits.map(({ name, sort }) => ({ name, sort })),
             blocked: state.blocked,
             blockedUsers: state.blockedUsers,
-            starredPosts: state.feeds.starred.posts,
+            muteRules: state.muteRules,
+            watchlist: state.watchlist,
+            customFeeds: state.customFeeds,
+            starredPosts,
             settings: {
-                theme: localStorage.getItem('theme') || 'light'
+                theme: localStorage.getItem('theme') || 'light',
+                popularRegion: state.popularRegion
+            }
+        };
+    }
+
+    // null where WebCrypto isn't available (pages not served over HTTPS)
+    async function sha256Hex(text) {
+        if (!crypto.subtle) return null;
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // The backup with its checksum, placed after the version and date
+    async function sealBackup(data) {
+        const checksum = await sha256Hex(JSON.stringify(data));
+        return checksum ? { version: data.version, exportDate: data.exportDate, checksum, ...data } : data;
+    }
+
+    async function exportSubreddits() {
+        let data = await sealBackup(buildBackupData());
+        let filename = 'enpwa-backup.json';
+        
+        const encryptToggle = document.getElementById('encryptBackupToggle');
+        if (encryptToggle && encryptToggle.checked) {
+            if (!crypto.subtle) {
+                showToast('Encrypted backups need the app to be opened over HTTPS', { type: 'error' });
+                return;
+            }
+            const passphrase = await askPassphrase(
+                "Choose a passphrase for this backup. It can't be opened without it, and a forgotten passphrase can't be recovered.",
+                { confirm: true }
+            );
+            if (passphrase === null) return;
+            
+            showToast('Encrypting backup...', { type: 'info', id: 'encryptBackup' });
+            try {
+                data = await encryptBackup(data, passphrase);
+            } catch (error) {
+                showToast('Could not encrypt the backup: ' + error.message, { type: 'error', id: 'encryptBackup' });
+                return;
+            }
+            dismissToast('encryptBackup');
+            filename = 'enpwa-backup-encrypted.json';
+        }
+        
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        if (await saveFile(blob, filename)) {
+            showToast('Backup exported!', { type: 'success' });
+        }
+    }
+
+    /**
+     * Check a parsed backup against the format, upgrading older versions first
+     * @returns {Promise<{data: Object, problems: string[], checksum: string}>}
+     *     data holds only valid entries; problems says what was skipped and why;
+     *     checksum is 'valid', 'mismatch', 'missing' (older backups) or
+     *     'unverifiable' (no WebCrypto)
+     * @throws {Error} When the file isn't a backup at all, or is from a newer app
+     */
+    async function readBackup(raw) {
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('Not a backup file');
+        if (raw.version === undefined && !raw.subreddits) throw new Error('Not a backup file');
+        
+        let checksum = 'missing';
+        if (typeof raw.checksum === 'string') {
+            const { checksum: expected, ...content } = raw;
+            const actual = await sha256Hex(JSON.stringify(content));
+            checksum = actual === null ? 'unverifiable' : (actual === expected ? 'valid' : 'mismatch');
+        }
+        
+        let data = { ...raw, version: raw.version ?? '1.0' };
+        while (Object.hasOwn(BACKUP_UPGRADES, data.version)) data = BACKUP_UPGRADES[data.version](data);
+        if (data.version !== BACKUP_VERSION) {
+            throw new Error(typeof data.version === 'number' && data.version > BACKUP_VERSION
+                ? 'This backup was made by a newer version of the app - update first'
+                : `Unknown backup version "${data.version}"`);
+        }
+        
+        const problems = [];
+        const clean = { version: BACKUP_VERSION };
+        if (data.exportDate !== undefined) {
+            if (typeof data.exportDate === 'string' && !Number.isNaN(Date.parse(data.exportDate))) clean.exportDate = data.exportDate;
+            else problems.push('Export date: not a date');
+        }
+        
+        Object.entries(BACKUP_SCHEMA).forEach(([key, read]) => {
+            if (data[key] === undefined) return;
+            const { label } = IMPORT_SECTIONS[key];
+            if (!Array.isArray(data[key])) {
+                problems.push(`${label}: not a list - section skipped`);
+                return;
+            }
+            clean[key] = [];
+            data[key].forEach((entry, i) => {
+                try {
+                    clean[key].push(read(entry));
+                } catch (error) {
+                    problems.push(`${label} #${i + 1}: ${error.message}`);
+                }
+            });
+        });
+        
+        if (data.settings !== undefined) {
+            if (!data.settings || typeof data.settings !== 'object') {
+                problems.push('Settings: not an object - section skipped');
+            } else {
+                clean.settings = {};
+                const { theme, popularRegion } = data.settings;
+                if (theme === 'light' || theme === 'dark') clean.settings.theme = theme;
+                else if (theme !== undefined) problems.push(`Settings: unknown theme "${theme}"`);
+                if (Object.hasOwn(ENP.POPULAR_REGIONS, popularRegion)) clean.settings.popularRegion = popularRegion;
+                else if (popularRegion !== undefined) problems.push(`Settings: unknown Popular region "${popularRegion}"`);
+            }
+        }
+        
+        if (problems.length > 0) console.warn('Skipped invalid backup entries:', problems);
+        return { data: clean, problems, checksum };
+    }
+
+    // ============================================================================
+    // BACKUP ENCRYPTION
+    // ============================================================================
+    // An encrypted backup wraps the whole backup file in AES-GCM under a key
+    // derived from the passphrase with PBKDF2. PBKDF2 gives twice the key's length:
+    // the second half is stored as a check, so a wrong passphrase can be told
+    // apart from a file that was altered (which fails GCM's authentication).
+    const ENCRYPTED_BACKUP_TYPE = 'enpwa-encrypted-backup';
+    const ENCRYPTED_BACKUP_VERSION = 1;
+    const BACKUP_KDF_MAX_ITERATIONS = 10000000; // Refuse files that would hang the app
+
+    // The AES key and the passphrase check
+    async function deriveBackupKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+        const bits = new Uint8Array(await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, material, 512));
+        const key = await crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']);
+        return { key, check: await blobToBase64(new Blob([bits.slice(32)])) };
+    }
+
+    async function base64ToBytes(base64) {
+        return new Uint8Array(await base64ToBlob(base64).arrayBuffer());
+    }
+
+    // The header is authenticated along with the data, so it can't be swapped either
+    function getEncryptedBackupHeader(file) {
+        return new TextEncoder().encode(JSON.stringify([file.type, file.version, file.kdf, file.cipher.iv]));
+    }
+
+    async function encryptBackup(data, passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const { key, check } = await deriveBackupKey(passphrase, salt, CONFIG.BACKUP_KDF_ITERATIONS);
+        
+        const file = {
+            type: ENCRYPTED_BACKUP_TYPE,
+            version: ENCRYPTED_BACKUP_VERSION,
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: CONFIG.BACKUP_KDF_ITERATIONS, salt: await blobToBase64(new Blob([salt])), check },
+            cipher: { name: 'AES-GCM', iv: await blobToBase64(new Blob([iv])) }
+        };
+        const plaintext = new TextEncoder().encode(JSON.stringify(data));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData: getEncryptedBackupHeader(file) }, key, plaintext);
+        file.data = await blobToBase64(new Blob([ciphertext]));
+        return file;
+    }
+
+    // Throws unless the file is one we can try passphrases on
+    function checkEncryptedBackup(file) {
+        const { kdf, cipher } = file;
+        if (file.version > ENCRYPTED_BACKUP_VERSION) throw new Error('This backup was made by a newer version of the app - update first');
+        if (!kdf || kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || !cipher || cipher.name !== 'AES-GCM' ||
+            !Number.isInteger(kdf.iterations) || kdf.iterations < 1 || kdf.iterations > BACKUP_KDF_MAX_ITERATIONS ||
+            typeof kdf.salt !== 'string' || typeof kdf.check !== 'string' || typeof cipher.iv !== 'string' || typeof file.data !== 'string') {
+            throw new Error('The encrypted backup is damaged');
+        }
+    }
+
+    /**
+     * Open an encrypted backup
+     * @returns {Promise<Object|null>} The parsed backup, or null if the passphrase is wrong
+     * @throws {Error} When the file is malformed or was altered
+     */
+    async function decryptBackup(file, passphrase) {
+        checkEncryptedBackup(file);
+        const { kdf, cipher } = file;
+        
+        let salt, iv, ciphertext;
+        try {
+            [salt, iv, ciphertext] = await Promise.all([kdf.salt, cipher.iv, file.data].map(base64ToBytes));
+        } catch (error) {
+            throw new Error('The encrypted backup is damaged');
+        }
+        
+        const { key, check } = await deriveBackupKey(passphrase, salt, kdf.iterations);
+        if (check !== kdf.check) return null;
+        
+        let plaintext;
+        try {
+            plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv, additionalData: getEncryptedBackupHeader(file) }, key, ciphertext);
+        } catch (error) {
+            throw new Error('The encrypted backup was altered or damaged - it cannot be opened');
+        }
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+
+    // Ask for the passphrase until it's right or the user gives up
+    async function openEncryptedBackup(file) {
+        if (!crypto.subtle) throw new Error('Encrypted backups need the app to be opened over HTTPS');
+        checkEncryptedBackup(file);
+        
+        let error = '';
+        for (;;) {
+            const passphrase = await askPassphrase('This backup is encrypted. Enter its passphrase.', { error });
+            if (passphrase === null) return null;
+            
+            const data = await decryptBackup(file, passphrase);
+            if (data) return data;
+            error = 'Wrong passphrase - try again';
+        }
+    }
+
+    // ============================================================================
+    // BACKUP IMPORT
+    // ============================================================================
+    // Case-insensitive union (merge) or the backup's list as is (replace)
+    function planStringList(current, incoming, mode, key = s => s.toLowerCase(), label = s => s) {
+        const currentKeys = new Set(current.map(key));
+        const incomingKeys = new Set(incoming.map(key));
+        const added = incoming.filter(item => !currentKeys.has(key(item)));
+        const removed = mode === 'replace' ? current.filter(item => !incomingKeys.has(key(item))) : [];
+        
+        return {
+            value: mode === 'replace' ? incoming : [...current, ...added],
+            added: added.map(label),
+            removed: removed.map(label)
+        };
+    }
+
+    // First of each name in a list, by key - backups may repeat entries
+    function uniqueBy(items, key) {
+        const seen = new Set();
+        return items.filter(item => {
+            const k = key(item);
+            if (seen.has(k)) return false;
+            seen.add(k);
+            return true;
+        });
+    }
+
+    /**
+     * What importing a backup would change, section by section, without changing
+     * anything
+     * @param {Object} data - Backup as returned by readBackup
+     * @param {string} mode - 'merge' adds what we lack; 'replace' makes each section
+     *     match the backup exactly
+     * @returns {Object} section -> { value, added: string[], removed: string[], total }
+     *     for each section the backup has
+     */
+    function planBackupImport(data, mode) {
+        const plan = {};
+        const lower = s => s.toLowerCase();
+        
+        if (data.subreddits) {
+            // Keep what we already know about subreddits we follow
+            const incoming = uniqueBy(data.subreddits, entry => lower(entry.name)).map(entry => {
+                const existing = findSubreddit(entry.name);
+                return existing ? createSubredditEntry(existing.name, entry.sort, existing.status) : entry;
+            });
+            plan.subreddits = { ...planStringList(state.subreddits, incoming, mode, s => lower(s.name), s => `r/${s.name}`), total: incoming.length };
+        }
+        
+        if (data.customFeeds) {
+            // A feed we already have keeps its tab
+            const incoming = uniqueBy(data.customFeeds, f => lower(f.name)).map(feed => {
+                const existing = findCustomFeedByName(feed.name);
+                return existing ? { ...feed, id: existing.id } : feed;
+            });
+            plan.customFeeds = { ...planStringList(state.customFeeds, incoming, mode, f => lower(f.name), f => f.name), total: incoming.length };
+        }
+        
+        if (data.blocked) {
+            const incoming = uniqueBy(data.blocked, lower);
+            plan.blocked = { ...planStringList(state.blocked, incoming, mode, lower, sub => `r/${sub}`), total: incoming.length };
+        }
+        
+        if (data.blockedUsers) {
+            const incoming = uniqueBy(data.blockedUsers, lower);
+            plan.blockedUsers = { ...planStringList(state.blockedUsers, incoming, mode, lower, u => `u/${u}`), total: incoming.length };
+        }
+        
+        if (data.muteRules) {
+            const incoming = data.muteRules.filter((rule, i) => !data.muteRules.slice(0, i).some(other => isSameMuteRule(other, rule)));
+            const ruleKey = rule => `${rule.type}|${rule.feed}|${String(rule.value).toLowerCase()}`;
+            plan.muteRules = { ...planStringList(state.muteRules, incoming, mode, ruleKey, describeMuteRule), total: incoming.length };
+        }
+        
+        if (data.watchlist) {
+            const incoming = uniqueBy(data.watchlist, ENP.normalizeText);
+            plan.watchlist = { ...planStringList(state.watchlist, incoming, mode, ENP.normalizeText), total: incoming.length };
+        }
+        
+        if (data.starredPosts) {
+            // Posts we've starred too keep our copy, with its saved comments and video
+            const ours = new Map(state.feeds.starred.posts.map(p => [p.id, p]));
+            const incoming = uniqueBy(data.starredPosts, p => p.id).map(p => ours.get(p.id) || p);
+            plan.starredPosts = { ...planStringList(state.feeds.starred.posts, incoming, mode, p => p.id, p => p.title || p.id), total: incoming.length };
+        }
+        
+        if (data.settings) {
+            const current = { theme: localStorage.getItem('theme') || 'light', popularRegion: state.popularRegion };
+            const value = { ...current, ...data.settings };
+            
+            const added = [];
+            if (value.theme !== current.theme) added.push(`${value.theme === 'dark' ? 'Dark' : 'Light'} theme`);
+            if (value.popularRegion !== current.popularRegion) added.push(`Popular from ${ENP.POPULAR_REGIONS[value.popularRegion]}`);
+            plan.settings = { value, added, removed: [], total: Object.keys(data.settings).length };
+        }
+        
+        return plan;
+    }
+
+    /**
+     * Import a backup - all of the chosen sections or none of them. Saves,
+     * re-renders and queues fetches for newly followed subreddits.
+     * @param {Object} data - Backup as returned by readBackup
+     * @param {Object} [options]
+     * @param {string} [options.mode] - 'merge' (default) or 'replace'
+     * @param {string[]} [options.sections] - Sections to import (all by default)
+     * @returns {Promise<string[]>} What changed, e.g. ['3 subs', '1 blocked users (2 removed)']
+     * @throws {Error} When the import couldn't be saved, to localStorage or
+     *     IndexedDB - nothing is changed then
+     */
+    async function importBackupData(data, { mode = 'merge', sections } = {}) {
+        const plan = planBackupImport(data, mode);
+        const chosen = Object.keys(IMPORT_SECTIONS).filter(key => plan[key] && (!sections || sections.includes(key)));
+        const lower = s => s.toLowerCase();
+        
+        const snapshot = {
+            subreddits: state.subreddits,
+            customFeeds: state.customFeeds,
+            blocked: state.blocked,
+            blockedUsers: state.blockedUsers,
+            muteRules: state.muteRules,
+            watchlist: state.watchlist,
+            starred: state.feeds.starred.posts,
+            myPosts: state.feeds.my.posts,
+            myPending: state.feeds.my.pending,
+            filter: state.filter
+        };
+        
+        try {
+            chosen.forEach(key => {
+                const { value } = plan[key];
+                if (key === 'starredPosts') state.feeds.starred.posts = value;
+                else if (key !== 'settings') state[key] = value;
+            });
+            
+            // Like removing them by hand: unfollowed subreddits take their posts along
+            if (chosen.includes('subreddits') && plan.subreddits.removed.length > 0) {
+                const followed = new Set(state.subreddits.map(s => lower(s.name)));
+                const keep = p => followed.has(lower(p.subreddit));
+                state.feeds.my.posts = state.feeds.my.posts.filter(keep);
+                const pendingPosts = state.feeds.my.pending.posts.filter(keep);
+                state.feeds.my.pending = { ...state.feeds.my.pending, posts: pendingPosts, count: pendingPosts.length };
+                if (state.filter !== 'all' && !followed.has(lower(state.filter))) state.filter = 'all';
+            }
+            
+            await saveStateStrict();
+        } catch (error) {
+            console.error('Import failed, rolling back:', error);
+            state.subreddits = snapshot.subreddits;
+            state.customFeeds = snapshot.customFeeds;
+            state.blocked = snapshot.blocked;
+            state.blockedUsers = snapshot.blockedUsers;
+            state.muteRules = snapshot.muteRules;
+            state.watchlist = snapshot.watchlist;
+            state.feeds.starred.posts = snapshot.starred;
+            state.feeds.my.posts = snapshot.myPosts;
+            state.feeds.my.pending = snapshot.myPending;
+            state.filter = snapshot.filter;
+            // What was saved before still fits - and cleanup must not delete posts
+            // the snapshot holds
+            await saveStateStrict().catch(e => console.error('Error restoring state after failed import:', e));
+            throw error;
+        }
+        
+        // Saved - now the side effects
+        if (chosen.includes('subreddits')) {
+            const added = new Set(plan.subreddits.added);
+            state.subreddits.filter(s => added.has(`r/${s.name}`)).forEach(sub => queueSyncJob('fetch_subreddit', sub.name));
+        }
+        if (chosen.includes('blocked')) rebuildPopularFiltered();
+        if (chosen.includes('starredPosts') && plan.starredPosts.added.length > 0) syncStarredMedia();
+        if (chosen.includes('customFeeds') && state.current.startsWith(CUSTOM_FEED_PREFIX) &&
+            !state.customFeeds.some(f => CUSTOM_FEED_PREFIX + f.id === state.current)) {
+            switchFeed('my');
+        }
+        if (chosen.includes('settings')) {
+            const { theme, popularRegion } = plan.settings.value;
+            localStorage.setItem('theme', theme);
+            document.documentElement.setAttribute('data-theme', theme);
+            const btn = document.getElementById('themeToggle');
+            if (btn) {
+                btn.textContent = theme === 'dark' ? '☀️ Light Mode' : '🌙 Dark Mode';
+            }
+            // Switching the region refetches Popular
+            setPopularRegion(popularRegion);
+        }
+        
+        renderSubreddits();
+        renderSubredditFilter();
+        updateFeedTabsVisibility();
+        renderPosts();
+        processSyncQueue();
+        
+        return chosen.map(key => {
+            const { added, removed } = plan[key];
+            if (key === 'settings') return added.length > 0 ? added.join(', ') : 'same settings';
+            return `${added.length} ${IMPORT_SECTIONS[key].noun}` + (removed.length > 0 ? ` (${removed.length} removed)` : '');
+        });
+    }
+
+    async function importSubreddits(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        event.target.value = '';
+        
+        let raw;
+        try {
+            raw = JSON.parse(await file.text());
+        } catch (error) {
+            showToast('Error reading file: ' + error.message, { type: 'error' });
+            return;
+        }
+        
+        // A bundle picked here by mistake is imported all the same
+        if (raw && raw.type === NEWS_BUNDLE_TYPE) {
+            applyNewsBundle(raw);
+            return;
+        }
+        
+        try {
+            if (raw && raw.type === ENCRYPTED_BACKUP_TYPE) {
+                raw = await openEncryptedBackup(raw);
+                if (raw === null) return;
+            }
+            const backup = await readBackup(raw);
+            toggleSidebar();
+            openImportPreview(backup, file.name);
+        } catch (error) {
+            showToast(error.message, { type: 'error' });
+        }
+    }
+
+    // ============================================================================
+    // IMPORT PREVIEW
+    // ============================================================================
+    let importPreview = null; // { data, source }
+
+    const IMPORT_PREVIEW_ITEMS = 8; // Names listed per section before "and N more"
+
+    const BACKUP_CHECKSUM_NOTES = {
+        valid: 'Checksum matches - the file is as it was exported',
+        mismatch: 'Checksum does not match - the file was changed or damaged after export',
+        missing: 'No checksum - made by an older version of the app',
+        unverifiable: 'The checksum could not be checked on this connection'
+    };
+
+    /**
+     * Show what a backup would change and let the user pick sections and how to
+     * apply them before anything is imported
+     * @param {Object} backup - As returned by readBackup
+     * @param {string} source - Where it came from, e.g. the file name
+     */
+    function openImportPreview({ data, problems, checksum }, source) {
+        const popup = document.getElementById('importPreviewPopup');
+        if (!popup) return;
+        
+        importPreview = { data, source };
+        const info = document.getElementById('importPreviewInfo');
+        const exported = data.exportDate ? Date.parse(data.exportDate) : NaN;
+        if (info) {
+            info.textContent = Number.isNaN(exported) ? source : `${source} - exported ${new Date(exported).toLocaleString()}`;
+        }
+        
+        const checks = document.getElementById('importPreviewChecks');
+        if (checks) {
+            const skipped = problems.length === 0 ? '' : `
+                <details class="import-problems">
+                    <summary>${problems.length} invalid ${problems.length === 1 ? 'entry' : 'entries'} will be skipped</summary>
+                    <ul>${problems.map(problem => `<li>${esc(problem)}</li>`).join('')}</ul>
+                </details>`;
+            checks.innerHTML = `<div class="import-checksum ${checksum}">${BACKUP_CHECKSUM_NOTES[checksum]}</div>${skipped}`;
+        }
+        const merge = document.getElementById('importModeMerge');
+        if (merge) merge.checked = true;
+        
+        renderImportPreview(true);
+        popup.classList.add('active');
+    }
+
+    function getImportMode() {
+        const replace = document.getElementById('importModeReplace');
+        return replace && replace.checked ? 'replace' : 'merge';
+    }
+
+    function describeImportChanges(items, sign) {
+        if (items.length === 0) return '';
+        const shown = items.slice(0, IMPORT_PREVIEW_ITEMS).map(esc).join(', ');
+        const more = items.length > IMPORT_PREVIEW_ITEMS ? ` and ${items.length - IMPORT_PREVIEW_ITEMS} more` : '';
+        return `<div class="import-diff ${sign === '+' ? 'added' : 'removed'}">${sign} ${shown}${more}</div>`;
+    }
+
+    // Sections keep their ticks when the mode changes
+    function renderImportPreview(resetChoices = false) {
+        const list = document.getElementById('importPreviewSections');
+        if (!list || !importPreview) return;
+        
+        const ticked = new Set(getTickedImportSections());
+        const mode = getImportMode();
+        const plan = planBackupImport(importPreview.data, mode);
+        const keys = Object.keys(IMPORT_SECTIONS).filter(key => plan[key]);
+        
+        list.innerHTML = keys.length === 0 ? '<div class="import-empty">Nothing to import in this backup</div>' : keys.map(key => {
+            const { added, removed, total } = plan[key];
+            const checked = resetChoices || ticked.has(key) ? 'checked' : '';
+            const counts = key === 'settings'
+                ? (added.length > 0 ? 'will change' : 'no change')
+                : `${total} in backup · ${added.length} new` + (mode === 'replace' ? ` · ${removed.length} removed` : '');
+            return `
+                <label class="import-section">
+                    <input type="checkbox" data-section="${key}" ${checked} />
+                    <span class="import-section-name">${IMPORT_SECTIONS[key].label}</span>
+                    <span class="import-section-counts">${counts}</span>
+                </label>
+                ${describeImportChanges(added, '+')}${describeImportChanges(removed, '−')}
+            `;
+        }).join('');
+        
+        list.querySelectorAll('input[type="checkbox"]').forEach(box => box.onchange = updateImportPreviewButton);
+        updateImportPreviewButton();
+    }
+
+    function getTickedImportSections() {
+        return [...document.querySelectorAll('#importPreviewSections input[data-section]:checked')].map(box => box.dataset.section);
+    }
+
+    function updateImportPreviewButton() {
+        const btn = document.getElementById('importPreviewConfirmBtn');
+        if (!btn) return;
+        const count = getTickedImportSections().length;
+        btn.disabled = count === 0;
+        btn.textContent = getImportMode() === 'replace' ? 'Replace' : 'Import';
+    }
+
+    function closeImportPreview() {
+        importPreview = null;
+        const popup = document.getElementById('importPreviewPopup');
+        if (popup) popup.classList.remove('active');
+    }
+
+    async function confirmImportPreview() {
+        if (!importPreview) return;
+        const { data, source } = importPreview;
+        const mode = getImportMode();
+        const sections = getTickedImportSections();
+        const btn = document.getElementById('importPreviewConfirmBtn');
+        
+        // Saving waits for IndexedDB - don't let a second tap import twice
+        if (btn) btn.disabled = true;
+        try {
+            const imported = await importBackupData(data, { mode, sections });
+            closeImportPreview();
+            addLog(`${mode === 'replace' ? 'Replaced from' : 'Imported'} ${source}: ${imported.join(', ')}`, 'success');
+            showToast(`Imported: ${imported.join(', ')}`, { type: 'success' });
+        } catch (error) {
+            showToast('Import failed, nothing was changed: ' + error.message, { type: 'error' });
+        } finally {
+            if (btn) btn.disabled = false;
+        }
+    }
+
+    // ============================================================================
+    // NEWS BUNDLES - Cached posts, images and comments carried to offline devices
+    // ============================================================================
+
+    // A bundle is one JSON file: { type, version, createdAt, feeds: { my, popular,
+    // starred }, images: { url: dataUrl } }. Importing needs no network - during a
+    // blackout one person who gets online can refresh and pass the file around.
+    const NEWS_BUNDLE_TYPE = 'enpwa-news-bundle';
+    const NEWS_BUNDLE_VERSION = 1;
+    const BUNDLE_FEEDS = ['my', 'popular', 'starred'];
+
+    function blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    // null unless it's a base64 image
+    function dataUrlToBlob(dataUrl) {
+        const match = /^data:(image\/[\w.+-]+);base64,([A-Za-z0-9+/=]+)$/.exec(String(dataUrl));
+        if (!match) return null;
+        try {
+            const bytes = Uint8Array.from(atob(match[2]), char => char.charCodeAt(0));
+            return new Blob([bytes], { type: match[1] });
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Cached images as data URLs, up to BUNDLE_IMAGE_BUDGET. Images the browser
+     * never showed are downloaded when online; ones from hosts that don't allow
+     * reading them (opaque responses) are left out
+     * @returns {Promise<{images: Object<string, string>, skipped: number}>}
+     */
+    async function collectBundleImages(urls) {
+        const images = {};
+        let skipped = 0;
+        let bytes = 0;
+        
+        for (const url of urls) {
+            try {
+                let response = 'caches' in window ? await caches.match(url) : null;
+                if ((!response || response.type === 'opaque') && navigator.onLine) {
+                    response = await ENP.fetchWithTimeout(url);
+                }
+                if (!response || !response.ok) {
+                    skipped++;
+                    continue;
+                }
+                
+                const blob = await response.blob();
+                if (!blob.type.startsWith('image/') || bytes + blob.size > CONFIG.BUNDLE_IMAGE_BUDGET) {
+                    skipped++;
+                    continue;
+                }
+                images[url] = await blobToDataUrl(blob);
+                bytes += blob.size;
+            } catch (error) {
+                console.warn(`Could not add image ${url} to bundle:`, error);
+                skipped++;
             }
+        }
+        
+        return { images, skipped };
+    }
+
+    async function exportNewsBundle() {
+        const checked = id => document.getElementById(id)?.checked;
+        const feedIds = { my: 'bundleMy', popular: 'bundlePopular', starred: 'bundleStarred' };
+        const feeds = BUNDLE_FEEDS.filter(feedType => checked(feedIds[feedType]));
+        if (feeds.length === 0) {
+            showToast('Pick at least one feed for the bundle', { type: 'warning' });
+            return;
+        }
+        
+        const includeComments = checked('bundleComments');
+        const bundle = {
+            type: NEWS_BUNDLE_TYPE,
+            version: NEWS_BUNDLE_VERSION,
+            createdAt: new Date().toISOString(),
+            feeds: {},
+            images: {}
         };
         
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        feeds.forEach(feedType => {
+            const feed = state.feeds[feedType];
+            // Posts not shown yet are news too; saved videos stay on this device
+            bundle.feeds[feedType] = removeDuplicates([...(feed.pending?.posts || []), ...feed.posts])
+                .filter(post => feedType === 'starred' || ENP.isFreshPost(post))
+                .map(({ savedVideo: _savedVideo, comments, ...post }) =>
+                    includeComments && comments ? { ...post, comments } : post
+                );
+        });
         
-        // Try File System Access API first (allows choosing location)
-        if ('showSaveFilePicker' in window) {
-            try {
-                const handle = await window.showSaveFilePicker({
-                    suggestedName: 'enpwa-backup.json',
-                    types: [{
-                        description: 'JSON Files',
-                        accept: { 'application/json': ['.json'] }
-                    }]
-                });
-                
-                const writable = await handle.createWritable();
-                await writable.write(blob);
-                await writable.close();
+        const postCount = feeds.reduce((sum, feedType) => sum + bundle.feeds[feedType].length, 0);
+        if (postCount === 0) {
+            showToast('No saved posts in those feeds yet', { type: 'warning' });
+            return;
+        }
+        
+        let skippedImages = 0;
+        if (checked('bundleImages')) {
+            const toastId = 'bundle-export';
+            showToast('Packing images...', { type: 'info', duration: 0, id: toastId });
+            const urls = [...new Set(feeds.flatMap(feedType => bundle.feeds[feedType].flatMap(getPostMediaUrls)))];
+            const result = await collectBundleImages(urls);
+            bundle.images = result.images;
+            skippedImages = result.skipped;
+            dismissToast(toastId);
+        }
+        
+        const blob = new Blob([JSON.stringify(bundle)], { type: 'application/json' });
+        const date = new Date().toISOString().slice(0, 10);
+        if (!await saveFile(blob, `enpwa-news-${date}.json`)) return;
+        
+        const imageCount = Object.keys(bundle.images).length;
+        addLog(`Exported news bundle: ${postCount} posts, ${imageCount} images (${formatBytes(blob.size)})`, 'success');
+        showToast(`Bundle saved: ${postCount} posts, ${imageCount} images${skippedImages > 0 ? ` (${skippedImages} images unavailable)` : ''}`, { type: 'success' });
+    }
+
+    // What a fetched post holds (see ENP.stripPostData) - anything else in a bundle is dropped
+    const BUNDLE_POST_FIELDS = ['id', 'title', 'author', 'subreddit', 'permalink', 'created_utc', 'ups',
+        'num_comments', 'selftext', 'url', 'is_video', 'removed', 'video_url', 'audio_url'];
+
+    // Type each post field must have when present
+    const BUNDLE_POST_TYPES = {
+        ups: 'number',
+        num_comments: 'number',
+        selftext: 'string',
+        url: 'string',
+        is_video: 'boolean',
+        removed: 'boolean',
+        video_url: 'string',
+        audio_url: 'string'
+    };
+
+    /**
+     * A comment tree from someone else's file, rebuilt from the fields templates
+     * use - or null if any comment doesn't fit, or there are more than we'd keep
+     */
+    function readImportedComments(tree) {
+        let remaining = CONFIG.COMMENTS_MAX_TOTAL;
+        
+        const read = (nodes, depth) => {
+            if (!Array.isArray(nodes) || (depth > CONFIG.COMMENTS_MAX_DEPTH && nodes.length > 0)) return null;
+            const result = [];
+            for (const node of nodes) {
+                if (--remaining < 0 || !node || typeof node !== 'object') return null;
+                if (typeof node.author !== 'string' || typeof node.body !== 'string' ||
+                    !Number.isFinite(node.score) || !Number.isFinite(node.created_utc)) return null;
                 
-                showToast('Backup exported!', { type: 'success' });
-                return;
-            } catch (err) {
-                if (err.name === 'AbortError') return; // User cancelled
-                console.error('Save picker error:', err);
-                // Fall back to download
+                const replies = read(node.replies, depth + 1);
+                if (!replies) return null;
+                result.push({
+                    id: typeof node.id === 'string' ? node.id : '',
+                    author: node.author,
+                    body: node.body,
+                    score: node.score,
+                    created_utc: node.created_utc,
+                    replies
+                });
             }
+            return result;
+        };
+        
+        return read(tree, 0);
+    }
+
+    // A post from someone else's file, or null if it isn't one
+    function readImportedPost(raw, feedType) {
+        if (!raw || typeof raw !== 'object') return null;
+        if (typeof raw.id !== 'string' || !/^[a-z0-9]{1,12}$/.test(raw.id)) return null;
+        if (typeof raw.title !== 'string' || typeof raw.author !== 'string' ||
+            typeof raw.subreddit !== 'string' || typeof raw.permalink !== 'string') return null;
+        // Rendered after https://reddit.com - anything else could point the link elsewhere
+        if (!/^\/r\/[A-Za-z0-9_]+\/comments\//.test(raw.permalink)) return null;
+        if (!Number.isFinite(raw.created_utc)) return null;
+        
+        const post = Object.fromEntries(BUNDLE_POST_FIELDS
+            .filter(field => Object.hasOwn(raw, field))
+            .filter(field => !Object.hasOwn(BUNDLE_POST_TYPES, field) || typeof raw[field] === BUNDLE_POST_TYPES[field])
+            .map(field => [field, raw[field]]));
+        post.ups = Number.isFinite(post.ups) ? post.ups : 0;
+        post.num_comments = Number.isFinite(post.num_comments) ? post.num_comments : 0;
+        post.selftext = post.selftext ?? '';
+        
+        if (Array.isArray(raw.gallery)) {
+            post.gallery = raw.gallery.filter(url => typeof url === 'string' && ENP.sanitizer.safeMediaUrl(url));
+        }
+        if (raw.comments && Number.isFinite(raw.comments.fetchedAt)) {
+            const tree = readImportedComments(raw.comments.tree);
+            if (tree) post.comments = { fetchedAt: raw.comments.fetchedAt, tree };
+        }
+        if (feedType === 'starred') post.starredAt = Number.isFinite(raw.starredAt) ? raw.starredAt : Date.now();
+        return post;
+    }
+
+    /**
+     * Merge a bundle into the feeds: posts we don't have are added, posts we
+     * have gain the bundle's comments if ours have none. Images go to the media
+     * cache for starred posts, the bundle cache for the rest.
+     * @returns {Promise<{posts: number, images: number}>}
+     */
+    async function importNewsBundle(bundle) {
+        if (!bundle || bundle.type !== NEWS_BUNDLE_TYPE || !bundle.feeds || typeof bundle.feeds !== 'object') {
+            throw new Error('Not a news bundle');
+        }
+        if (bundle.version > NEWS_BUNDLE_VERSION) {
+            throw new Error('This bundle was made by a newer version of the app - update first');
         }
         
-        // Fallback: traditional download with static filename
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'enpwa-backup.json';
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        let added = 0;
+        const addedPosts = [];
+        BUNDLE_FEEDS.forEach(feedType => {
+            const incoming = (Array.isArray(bundle.feeds[feedType]) ? bundle.feeds[feedType] : [])
+                .map(raw => readImportedPost(raw, feedType))
+                .filter(post => post && (feedType === 'starred' || ENP.isFreshPost(post)));
+            if (incoming.length === 0) return;
+            
+            const feed = state.feeds[feedType];
+            const withComments = new Map(incoming.filter(post => post.comments).map(post => [post.id, post.comments]));
+            const addComments = post => !post.comments && withComments.has(post.id) ? { ...post, comments: withComments.get(post.id) } : post;
+            feed.posts = feed.posts.map(addComments);
+            if (feed.pending) feed.pending.posts = feed.pending.posts.map(addComments);
+            
+            const known = new Set([...feed.posts, ...(feed.pending?.posts || [])].map(post => post.id));
+            const newPosts = removeDuplicates(incoming.filter(post => !known.has(post.id)));
+            if (newPosts.length === 0) return;
+            
+            feed.posts = feedType === 'starred'
+                ? [...feed.posts, ...newPosts]
+                : [...newPosts, ...feed.posts].sort((a, b) => b.created_utc - a.created_utc);
+            added += newPosts.length;
+            addedPosts.push(...newPosts);
+        });
+        rebuildPopularFiltered();
+        
+        let images = 0;
+        if ('caches' in window && bundle.images && typeof bundle.images === 'object') {
+            const starredUrls = new Set(state.feeds.starred.posts.flatMap(getPostMediaUrls));
+            const wanted = new Set(addedPosts.flatMap(getPostMediaUrls));
+            try {
+                const mediaCache = await caches.open(ENP.MEDIA_CACHE);
+                const bundleCache = await caches.open(ENP.BUNDLE_MEDIA_CACHE);
+                for (const [url, dataUrl] of Object.entries(bundle.images)) {
+                    if (!wanted.has(url)) continue;
+                    const blob = dataUrlToBlob(dataUrl);
+                    if (!blob) continue;
+                    const cache = starredUrls.has(url) ? mediaCache : bundleCache;
+                    await cache.put(url, new Response(blob, { headers: { 'Content-Type': blob.type } }));
+                    images++;
+                }
+            } catch (error) {
+                console.error('Error saving bundle images:', error);
+            }
+            refreshMediaCacheStats();
+        }
         
-        showToast('Backup exported!', { type: 'success' });
+        return { posts: added, images };
     }
 
-    function importSubreddits(event) {
+    async function importNewsBundleFile(event) {
         const file = event.target.files[0];
         if (!file) return;
+        event.target.value = '';
+        
+        let bundle;
+        try {
+            bundle = JSON.parse(await file.text());
+        } catch (error) {
+            showToast('Error reading bundle: ' + error.message, { type: 'error' });
+            return;
+        }
+        await applyNewsBundle(bundle);
+    }
+
+    async function applyNewsBundle(bundle) {
+        try {
+            const result = await importNewsBundle(bundle);
+            saveState();
+            renderPosts();
+            renderSubredditFilter();
+            updateUnreadBadges();
+            toggleSidebar();
+            
+            addLog(`Imported news bundle: ${result.posts} new posts, ${result.images} images`, 'success');
+            showToast(result.posts > 0
+                ? `Imported ${result.posts} posts and ${result.images} images`
+                : 'Nothing new in this bundle', { type: result.posts > 0 ? 'success' : 'info' });
+        } catch (error) {
+            showToast('Error reading bundle: ' + error.message, { type: 'error' });
+        }
+    }
+
+    // Drop bundle images no saved post uses any more
+    async function pruneBundleMedia() {
+        if (!('caches' in window)) return;
+        
+        const used = new Set(['my', 'popular', 'starred'].flatMap(feedType => {
+            const feed = state.feeds[feedType];
+            return [...feed.posts, ...(feed.pending?.posts || [])].flatMap(getPostMediaUrls);
+        }));
+        try {
+            const cache = await caches.open(ENP.BUNDLE_MEDIA_CACHE);
+            const requests = await cache.keys();
+            await Promise.all(requests.filter(request => !used.has(request.url)).map(request => cache.delete(request)));
+        } catch (error) {
+            console.error('Error pruning bundle media:', error);
+        }
+    }
+
+    // ============================================================================
+    // QR TRANSFER
+    // ============================================================================
+    // Hands a backup to a phone nearby as a cycle of QR codes - no network, cable or
+    // file sharing needed. The backup JSON is gzipped and base64-encoded ("z"
+    // prefix; "b" when the browser can't compress), then split by ENP.qr into parts
+    // the other phone scans in any order before merging through importBackupData.
+    let qrSend = null; // { parts, index, timer }
+    let qrScan = null; // { stream, assembler, timer, busy }
+
+    function blobToBase64(blob) {
+        return blobToDataUrl(blob).then(dataUrl => dataUrl.slice(dataUrl.indexOf(',') + 1));
+    }
+
+    function base64ToBlob(base64) {
+        return new Blob([Uint8Array.from(atob(base64), char => char.charCodeAt(0))]);
+    }
+
+    async function encodeTransferPayload(data) {
+        const blob = new Blob([JSON.stringify(data)]);
+        if (typeof CompressionStream === 'undefined') return 'b' + await blobToBase64(blob);
+        
+        const compressed = await new Response(blob.stream().pipeThrough(new CompressionStream('gzip'))).blob();
+        return 'z' + await blobToBase64(compressed);
+    }
+
+    async function decodeTransferPayload(payload) {
+        const blob = base64ToBlob(payload.slice(1));
+        if (payload[0] === 'b') return JSON.parse(await blob.text());
+        if (payload[0] !== 'z') throw new Error('Unknown data format');
+        if (typeof DecompressionStream === 'undefined') throw new Error('This browser cannot unpack compressed codes');
+        
+        return JSON.parse(await new Response(blob.stream().pipeThrough(new DecompressionStream('gzip'))).text());
+    }
+
+    // Newest starred posts, without what makes them large
+    function getQrStarredPosts() {
+        return [...state.feeds.starred.posts]
+            .sort((a, b) => (b.starredAt || 0) - (a.starredAt || 0))
+            .slice(0, CONFIG.QR_STARRED_POSTS)
+            .map(({ comments: _comments, savedVideo: _savedVideo, ...post }) => post);
+    }
+
+    async function openQrSend() {
+        const popup = document.getElementById('qrSendPopup');
+        const includeStarred = document.getElementById('qrIncludeStarred');
+        if (!popup || !window.ENP.qr) return;
+        
+        stopQrSendTimer();
+        const starred = includeStarred && includeStarred.checked ? getQrStarredPosts() : [];
+        const payload = await encodeTransferPayload(await sealBackup(buildBackupData(starred)));
+        const parts = ENP.qr.splitPayload(payload, CONFIG.QR_PART_LENGTH);
+        
+        if (parts.length > CONFIG.QR_MAX_PARTS) {
+            showToast(`Too much to send by QR (${parts.length} codes) - leave out starred posts or use Export`, { type: 'error', duration: 5000 });
+            if (includeStarred && includeStarred.checked) {
+                includeStarred.checked = false;
+                return openQrSend();
+            }
+            closeQrSend();
+            return;
+        }
+        
+        qrSend = { parts, index: 0, timer: null };
+        popup.classList.add('active');
+        showQrPart(0);
+        setQrSendPaused(false);
+    }
+
+    function showQrPart(index) {
+        if (!qrSend) return;
+        const canvas = document.getElementById('qrCanvas');
+        const progress = document.getElementById('qrSendProgress');
+        
+        qrSend.index = (index + qrSend.parts.length) % qrSend.parts.length;
+        ENP.qr.drawToCanvas(ENP.qr.encode(qrSend.parts[qrSend.index]), canvas);
+        if (progress) progress.textContent = `Code ${qrSend.index + 1} of ${qrSend.parts.length}`;
+    }
+
+    function stepQrPart(delta) {
+        if (!qrSend) return;
+        setQrSendPaused(true);
+        showQrPart(qrSend.index + delta);
+    }
+
+    function stopQrSendTimer() {
+        if (qrSend && qrSend.timer) clearInterval(qrSend.timer);
+        if (qrSend) qrSend.timer = null;
+    }
+
+    // Codes cycle on their own so the receiver only has to hold its camera still
+    function setQrSendPaused(paused) {
+        if (!qrSend) return;
+        const pauseBtn = document.getElementById('qrPauseBtn');
+        
+        stopQrSendTimer();
+        if (!paused && qrSend.parts.length > 1) {
+            qrSend.timer = setInterval(() => showQrPart(qrSend.index + 1), CONFIG.QR_FRAME_INTERVAL);
+        }
+        if (pauseBtn) {
+            pauseBtn.textContent = qrSend.timer ? 'Pause' : 'Play';
+            pauseBtn.disabled = qrSend.parts.length === 1;
+        }
+    }
+
+    function closeQrSend() {
+        stopQrSendTimer();
+        qrSend = null;
+        const popup = document.getElementById('qrSendPopup');
+        if (popup) popup.classList.remove('active');
+    }
+
+    async function openQrScan() {
+        const popup = document.getElementById('qrScanPopup');
+        const video = document.getElementById('qrVideo');
+        if (!popup || !video || !window.ENP.qr) return;
+        
+        if (!('BarcodeDetector' in window) || !navigator.mediaDevices?.getUserMedia) {
+            showToast('This browser cannot read QR codes - use Export and Import instead', { type: 'error', duration: 5000 });
+            return;
+        }
+        
+        let detector;
+        try {
+            const formats = await BarcodeDetector.getSupportedFormats();
+            if (!formats.includes('qr_code')) throw new Error('QR codes not supported');
+            detector = new BarcodeDetector({ formats: ['qr_code'] });
+        } catch (error) {
+            showToast('This browser cannot read QR codes - use Export and Import instead', { type: 'error', duration: 5000 });
+            return;
+        }
+        
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false });
+        } catch (error) {
+            showToast('Camera unavailable: ' + error.message, { type: 'error' });
+            return;
+        }
+        
+        qrScan = { stream, assembler: ENP.qr.createAssembler(), timer: null, busy: false };
+        video.srcObject = stream;
+        popup.classList.add('active');
+        updateQrScanProgress({ received: 0, total: 0 }, 'Point the camera at the first code');
         
-        const reader = new FileReader();
-        reader.onload = (e) => {
+        try {
+            await video.play();
+        } catch (error) {
+            // Autoplay refusals still leave a live stream to read frames from
+        }
+        
+        qrScan.timer = setInterval(async () => {
+            if (!qrScan || qrScan.busy || video.readyState < 2) return;
+            qrScan.busy = true;
             try {
-                const data = JSON.parse(e.target.result);
-                
-                // Validate structure
-                if (!data.version && !data.subreddits) {
-                    showToast('Invalid backup file', { type: 'error' });
-                    return;
-                }
-                
-                let imported = [];
-                
-                // Import subreddits
-                if (data.subreddits && Array.isArray(data.subreddits)) {
-                    const normalized = state.subreddits.map(s => s.toLowerCase());
-                    const newSubs = data.subreddits.filter(sub => !normalized.includes(sub.toLowerCase()));
-                    state.subreddits = [...state.subreddits, ...newSubs];
-                    imported.push(`${newSubs.length} subs`);
-                    
-                    if (newSubs.length > 0) {
-                        newSubs.forEach(sub => queueSyncJob('fetch_subreddit', sub));
-                    }
-                }
-                
-                // Import blocked subreddits
-                if (data.blocked && Array.isArray(data.blocked)) {
-                    const normalizedBlocked = state.blocked.map(s => s.toLowerCase());
-                    const newBlocked = data.blocked.filter(sub => !normalizedBlocked.includes(sub.toLowerCase()));
-                    state.blocked = [...state.blocked, ...newBlocked];
-                    imported.push(`${newBlocked.length} blocked subs`);
-                    
-                    // Rebuild filtered cache
-                    rebuildPopularFiltered();
-                }
-                
-                // Import blocked users
-                if (data.blockedUsers && Array.isArray(data.blockedUsers)) {
-                    const normalizedBlockedUsers = state.blockedUsers.map(u => u.toLowerCase());
-                    const newBlockedUsers = data.blockedUsers.filter(u => !normalizedBlockedUsers.includes(u.toLowerCase()));
-                    state.blockedUsers = [...state.blockedUsers, ...newBlockedUsers];
-                    imported.push(`${newBlockedUsers.length} blocked users`);
-                }
-                
-                // Import starred posts
-                if (data.starredPosts && Array.isArray(data.starredPosts)) {
-                    const existingIds = new Set(state.feeds.starred.posts.map(p => p.id));
-                    const newStarred = data.starredPosts.filter(p => !existingIds.has(p.id));
-                    state.feeds.starred.posts = [...state.feeds.starred.posts, ...newStarred];
-                    imported.push(`${newStarred.length} starred`);
-                }
-                
-                // Import settings
-                if (data.settings && data.settings.theme) {
-                    localStorage.setItem('theme', data.settings.theme);
-                    document.documentElement.setAttribute('data-theme', data.settings.theme);
-                    const btn = document.getElementById('themeToggle');
-                    if (btn) {
-                        btn.textContent = data.settings.theme === 'dark' ? '☀️ Light Mode' : '🌙 Dark Mode';
-                    }
+                const codes = await detector.detect(video);
+                for (const code of codes) {
+                    if (!qrScan) break;
+                    await handleScannedCode(code.rawValue);
                 }
-                
-                saveState();
-                renderSubreddits();
-                renderSubredditFilter();
-                updateFeedTabsVisibility();
-                renderPosts();
-                
-                showToast(`Imported: ${imported.join(', ')}`, { type: 'success' });
-                
-                toggleSidebar();
-                processSyncQueue();
-                
-                event.target.value = '';
             } catch (error) {
-                showToast('Error reading file: ' + error.message, { type: 'error' });
+                console.warn('QR detection failed:', error);
             }
-        };
-        reader.readAsText(file);
+            if (qrScan) qrScan.busy = false;
+        }, CONFIG.QR_SCAN_INTERVAL);
+    }
+
+    function updateQrScanProgress(progress, message, type = '') {
+        const bar = document.getElementById('qrScanBar');
+        const text = document.getElementById('qrScanProgress');
+        const status = document.getElementById('qrScanStatus');
+        
+        if (bar) bar.style.width = progress.total ? `${Math.round(progress.received / progress.total * 100)}%` : '0';
+        if (text) text.textContent = progress.total ? `Scanned ${progress.received} of ${progress.total} codes` : 'Waiting for the first code';
+        if (status && message !== undefined) {
+            status.textContent = message;
+            status.className = `qr-status ${type}`.trim();
+        }
+    }
+
+    async function handleScannedCode(text) {
+        const result = qrScan.assembler.add(text);
+        
+        switch (result.status) {
+            case 'added':
+                updateQrScanProgress(result, 'Keep the camera on the codes');
+                break;
+            case 'duplicate':
+                updateQrScanProgress(result);
+                break;
+            case 'invalid':
+                updateQrScanProgress(result, 'That is not an enpwa transfer code', 'error');
+                break;
+            case 'foreign':
+                updateQrScanProgress(result, 'That code belongs to a different transfer - tap Start over to switch to it', 'error');
+                break;
+            case 'corrupt':
+                addLog('QR transfer failed its integrity check', 'error');
+                updateQrScanProgress({ received: 0, total: 0 }, 'The codes did not add up (integrity check failed) - scanning again from the start', 'error');
+                break;
+            case 'complete':
+                await finishQrScan(result.payload);
+                break;
+        }
+    }
+
+    async function finishQrScan(payload) {
+        closeQrScan();
+        
+        try {
+            const backup = await readBackup(await decodeTransferPayload(payload));
+            openImportPreview(backup, 'QR transfer');
+        } catch (error) {
+            showToast('Could not read the transfer: ' + error.message, { type: 'error' });
+        }
+    }
+
+    function restartQrScan() {
+        if (!qrScan) return;
+        qrScan.assembler.reset();
+        updateQrScanProgress({ received: 0, total: 0 }, 'Point the camera at the first code');
+    }
+
+    function closeQrScan() {
+        const popup = document.getElementById('qrScanPopup');
+        const video = document.getElementById('qrVideo');
+        
+        if (qrScan) {
+            clearInterval(qrScan.timer);
+            qrScan.stream.getTracks().forEach(track => track.stop());
+            qrScan = null;
+        }
+        if (video) video.srcObject = null;
+        if (popup) popup.classList.remove('active');
     }
 
     // ============================================================================
@@ -2437,7 +6188,7 @@
     // ============================================================================
     let currentPopupSubreddit = null;
 
-    window.openSubredditPopup = async function(subredditName) {
+    async function openSubredditPopup(subredditName) {
         currentPopupSubreddit = subredditName;
         const popup = document.getElementById('subredditPopup');
         const nameEl = document.getElementById('popupSubredditName');
@@ -2457,7 +6208,7 @@
         bannerEl.style.backgroundImage = '';
         bannerEl.style.background = 'linear-gradient(to bottom, var(--accent-color), transparent)';
         
-        const isFollowing = state.subreddits.some(s => s.toLowerCase() === subredditName.toLowerCase());
+        const isFollowing = findSubreddit(subredditName) !== null;
         const isBlocked = state.blocked.some(s => s.toLowerCase() === subredditName.toLowerCase());
         
         if (followBtn) {
@@ -2475,10 +6226,11 @@
             blockBtn.className = isBlocked ? 'popup-btn-block blocked' : 'popup-btn-block';
         }
         
+        updatePopupSort();
         popup.classList.add('active');
         
         try {
-            const response = await fetch(`https://www.reddit.com/r/${subredditName}/about.json`);
+            const response = await fetch(ENP.buildAboutUrl(subredditName));
             if (!response.ok) throw new Error('Failed');
             
             const data = await response.json();
@@ -2488,14 +6240,16 @@
             statsEl.textContent = `${formatNumber(sub.subscribers || 0)} members`;
             infoEl.textContent = sub.public_description || sub.description || 'No description available.';
             
-            if (sub.icon_img && sub.icon_img.trim()) {
-                iconEl.src = sub.icon_img.replace(/&amp;/g, '&');
+            const icon = ENP.sanitizer.safeMediaUrl((sub.icon_img || '').replace(/&amp;/g, '&'));
+            if (icon) {
+                iconEl.src = icon;
                 iconEl.style.display = 'block';
             }
             
-            if (sub.header_img && sub.header_img.trim()) {
-                bannerEl.style.backgroundImage = `url(${sub.header_img.replace(/&amp;/g, '&')})`;
-            } else if (sub.key_color) {
+            const header = ENP.sanitizer.safeMediaUrl((sub.header_img || '').replace(/&amp;/g, '&'));
+            if (header) {
+                bannerEl.style.backgroundImage = `url(${JSON.stringify(header)})`;
+            } else if (/^#[0-9a-f]{3,8}$/i.test(sub.key_color || '')) {
                 bannerEl.style.background = `linear-gradient(to bottom, ${sub.key_color}, transparent)`;
             }
         } catch (error) {
@@ -2503,7 +6257,18 @@
             statsEl.textContent = '';
             infoEl.textContent = `Community discussions from r/${subredditName}`;
         }
-    };
+    }
+
+    // The sort picker only applies to followed subreddits
+    function updatePopupSort() {
+        const row = document.getElementById('popupSortRow');
+        const select = document.getElementById('popupSortSelect');
+        if (!row || !select) return;
+        
+        const entry = currentPopupSubreddit ? findSubreddit(currentPopupSubreddit) : null;
+        row.style.display = entry ? 'flex' : 'none';
+        if (entry) select.value = entry.sort;
+    }
 
     function closeSubredditPopup() {
         const popup = document.getElementById('subredditPopup');
@@ -2514,14 +6279,14 @@
     function toggleFollowSubreddit() {
         if (!currentPopupSubreddit) return;
         
-        const isFollowing = state.subreddits.some(s => s.toLowerCase() === currentPopupSubreddit.toLowerCase());
+        const isFollowing = findSubreddit(currentPopupSubreddit) !== null;
         
         if (isFollowing) {
             // Unfollow
             showConfirm(
                 `Unfollow r/${currentPopupSubreddit}? This will also remove all posts from this subreddit from your feed.`,
                 () => {
-                    state.subreddits = state.subreddits.filter(s => s.toLowerCase() !== currentPopupSubreddit.toLowerCase());
+                    state.subreddits = state.subreddits.filter(s => s.name.toLowerCase() !== currentPopupSubreddit.toLowerCase());
                     state.feeds.my.posts = state.feeds.my.posts.filter(p => p.subreddit.toLowerCase() !== currentPopupSubreddit.toLowerCase());
                     state.feeds.my.pending.posts = state.feeds.my.pending.posts.filter(p => p.subreddit.toLowerCase() !== currentPopupSubreddit.toLowerCase());
                     state.feeds.my.pending.count = state.feeds.my.pending.posts.length;
@@ -2534,18 +6299,19 @@
                         followBtn.textContent = 'Follow';
                         followBtn.className = 'popup-btn-follow';
                     }
+                    updatePopupSort();
                     
                     showToast(`Unfollowed r/${currentPopupSubreddit}`, { type: 'success' });
                 }
             );
         } else {
             // Follow - check if already exists case-insensitively
-            if (state.subreddits.some(s => s.toLowerCase() === currentPopupSubreddit.toLowerCase())) {
+            if (findSubreddit(currentPopupSubreddit)) {
                 showToast('Subreddit already added', { type: 'warning' });
                 return;
             }
             
-            state.subreddits.push(currentPopupSubreddit);
+            state.subreddits.push(createSubredditEntry(currentPopupSubreddit));
             updateFeedTabsVisibility();
             updateAllViews();
             
@@ -2554,6 +6320,7 @@
                 followBtn.textContent = 'Unfollow';
                 followBtn.className = 'popup-btn-follow following';
             }
+            updatePopupSort();
             
             queueSyncJob('fetch_subreddit', currentPopupSubreddit);
             processSyncQueue();
@@ -2602,7 +6369,7 @@
     // ============================================================================
     let currentPopupUser = null;
 
-    window.openUserPopup = function(username) {
+    function openUserPopup(username) {
         currentPopupUser = username;
         const popup = document.getElementById('userPopup');
         const nameEl = document.getElementById('popupUserName');
@@ -2619,15 +6386,15 @@
         }
         
         popup.classList.add('active');
-    };
+    }
 
-    window.closeUserPopup = function() {
+    function closeUserPopup() {
         const popup = document.getElementById('userPopup');
         if (popup) popup.classList.remove('active');
         currentPopupUser = null;
-    };
+    }
 
-    window.toggleBlockUser = function() {
+    function toggleBlockUser() {
         if (!currentPopupUser) return;
         
         const isBlocked = state.blockedUsers.some(u => u.toLowerCase() === currentPopupUser.toLowerCase());
@@ -2655,38 +6422,108 @@
             
             showToast(`Blocked u/${currentPopupUser}`, { type: 'success' });
         }
-    };
+    }
 
     // ============================================================================
-    // WELCOME SCREEN
+    // SUGGESTION PACKS - First-run welcome screen, and browsable from the sidebar
     // ============================================================================
+
+    // Whether the welcome screen was opened from the sidebar rather than on first run
+    let browsingSuggestions = false;
+
+    /**
+     * A country's pack from subreddit-suggestions.json, with every field filled in.
+     * A pack is { name, code, categories: [{ name, subreddits }] }, each subreddit
+     * { name, description, language, sort, optional } with only the name required.
+     * Packs in the old flat format ({ name, code, subreddits: ['name'] }) still load,
+     * as a single "Suggested" category.
+     * @returns {{name: string, code: string, categories: Array<{name: string, subreddits: Array}>}|null}
+     *     null if there's nothing usable in it
+     */
+    function normalizeSuggestionPack(country) {
+        if (!country || typeof country.name !== 'string') return null;
+        
+        const categories = Array.isArray(country.categories)
+            ? country.categories
+            : [{ name: 'Suggested', subreddits: country.subreddits }];
+        
+        const normalized = categories.map(category => ({
+            name: typeof category.name === 'string' ? category.name : 'Suggested',
+            subreddits: (Array.isArray(category.subreddits) ? category.subreddits : [])
+                .map(entry => typeof entry === 'string' ? { name: entry } : entry)
+                .filter(entry => entry && typeof entry.name === 'string' && /^[a-zA-Z0-9_]{2,21}$/.test(entry.name))
+                .map(entry => ({
+                    name: entry.name,
+                    description: typeof entry.description === 'string' ? entry.description : '',
+                    language: typeof entry.language === 'string' ? entry.language.toLowerCase() : '',
+                    sort: Object.hasOwn(SORT_LABELS, entry.sort) ? entry.sort : 'hot',
+                    optional: entry.optional === true // Left unticked until the user picks it
+                }))
+        })).filter(category => category.subreddits.length > 0);
+        
+        if (normalized.length === 0) return null;
+        return {
+            name: country.name,
+            code: typeof country.code === 'string' ? country.code.toUpperCase() : '',
+            categories: normalized
+        };
+    }
+
     async function loadCountrySuggestions() {
         try {
             const response = await fetch('./subreddit-suggestions.json');
             const data = await response.json();
-            state.countrySuggestions = data.countries;
+            state.countrySuggestions = (Array.isArray(data.countries) ? data.countries : [])
+                .map(country => {
+                    const pack = normalizeSuggestionPack(country);
+                    if (!pack) console.warn('Skipping invalid suggestion pack:', country);
+                    return pack;
+                })
+                .filter(Boolean);
         } catch (error) {
             console.error('Error loading country suggestions:', error);
             state.countrySuggestions = [];
         }
     }
 
-    function showWelcomeScreen() {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.browsing] - Opened from the sidebar: subreddits are
+     *     added to the ones already followed and the Popular region is left alone
+     */
+    function showWelcomeScreen({ browsing = false } = {}) {
         const screen = document.getElementById('welcomeScreen');
         const list = document.getElementById('countryList');
         if (!screen || !list) return;
         
-        list.innerHTML = state.countrySuggestions.map((country, i) => `
-            <div class="country-option" data-index="${i}">
-                <div class="country-option-name">${country.name}</div>
-                <div class="country-option-subs">${country.subreddits.join(', ')}</div>
-            </div>
-        `).join('');
+        browsingSuggestions = browsing;
+        state.selectedCountry = null;
+        
+        const intro = document.getElementById('welcomeIntro');
+        if (intro) {
+            intro.textContent = browsing
+                ? 'Pick a country to browse its suggested subreddits'
+                : 'Select your country to get started with suggested subreddits';
+        }
+        const skip = document.getElementById('skipWelcome');
+        if (skip) skip.textContent = browsing ? 'Close' : 'Skip';
+        
+        list.innerHTML = state.countrySuggestions.map((country, i) => {
+            const count = country.categories.reduce((sum, category) => sum + category.subreddits.length, 0);
+            const categories = country.categories.map(category => category.name).join(', ');
+            return `
+                <div class="country-option" data-index="${i}">
+                    <div class="country-option-name">${esc(country.name)}</div>
+                    <div class="country-option-subs">${count} subreddit${count === 1 ? '' : 's'} · ${esc(categories)}</div>
+                </div>
+            `;
+        }).join('');
         
         list.querySelectorAll('.country-option').forEach(opt => {
             opt.onclick = () => selectCountry(opt);
         });
         
+        renderSuggestionPack();
         screen.classList.add('active');
     }
 
@@ -2694,28 +6531,108 @@
         document.querySelectorAll('.country-option').forEach(opt => opt.classList.remove('selected'));
         element.classList.add('selected');
         state.selectedCountry = parseInt(element.dataset.index);
+        renderSuggestionPack();
+    }
+
+    // The selected country's subreddits, by category, each with a checkbox.
+    // Ones already followed are shown ticked and can't be changed
+    function renderSuggestionPack() {
+        const container = document.getElementById('suggestionPack');
+        if (!container) return;
+        
+        const country = state.countrySuggestions[state.selectedCountry];
+        if (!country) {
+            container.innerHTML = '';
+            updateAddSuggestionsButton();
+            return;
+        }
+        
+        container.innerHTML = country.categories.map(category => `
+            <div class="suggestion-category">
+                <div class="suggestion-category-name">${esc(category.name)}</div>
+                ${category.subreddits.map(sub => {
+                    const followed = findSubreddit(sub.name) !== null;
+                    const tags = [
+                        sub.language && `<span class="suggestion-tag" title="Language">${esc(sub.language.toUpperCase())}</span>`,
+                        `<span class="suggestion-tag" title="Recommended sort">${esc(SORT_LABELS[sub.sort])}</span>`,
+                        followed && '<span class="suggestion-tag following">Following</span>'
+                    ].filter(Boolean).join('');
+                    return `
+                        <label class="suggestion-item">
+                            <input type="checkbox" data-sub="${esc(sub.name)}" data-sort="${esc(sub.sort)}"
+                                ${followed || !sub.optional ? 'checked' : ''} ${followed ? 'disabled' : ''}>
+                            <span class="suggestion-item-text">
+                                <span class="suggestion-item-name">r/${esc(sub.name)} ${tags}</span>
+                                ${sub.description ? `<span class="suggestion-item-desc">${esc(sub.description)}</span>` : ''}
+                            </span>
+                        </label>
+                    `;
+                }).join('')}
+            </div>
+        `).join('');
         
+        container.querySelectorAll('input[type="checkbox"]').forEach(box => {
+            box.onchange = updateAddSuggestionsButton;
+        });
+        updateAddSuggestionsButton();
+    }
+
+    function getTickedSuggestions() {
+        return [...document.querySelectorAll('#suggestionPack input[type="checkbox"]:checked:not(:disabled)')]
+            .map(box => ({ name: box.dataset.sub, sort: box.dataset.sort }));
+    }
+
+    function updateAddSuggestionsButton() {
         const btn = document.getElementById('addDefaults');
-        if (btn) btn.disabled = false;
+        if (!btn) return;
+        
+        const count = getTickedSuggestions().length;
+        btn.disabled = count === 0;
+        btn.textContent = count > 0 ? `Add ${count} Selected` : 'Add Selected';
     }
 
-    function addDefaultSubreddits() {
-        if (state.selectedCountry === null || !state.countrySuggestions[state.selectedCountry]) return;
+    // Follow the ticked subreddits, each with its recommended sort
+    function addSelectedSuggestions() {
+        const country = state.countrySuggestions[state.selectedCountry];
+        if (!country) return;
+        
+        const added = [];
+        getTickedSuggestions().forEach(({ name, sort }) => {
+            if (findSubreddit(name)) return;
+            const entry = createSubredditEntry(name, sort);
+            state.subreddits.push(entry);
+            added.push(entry);
+        });
         
-        state.subreddits = [...state.countrySuggestions[state.selectedCountry].subreddits];
+        // Popular follows the chosen country where Reddit has a regional Popular for it
+        if (!browsingSuggestions && Object.hasOwn(ENP.POPULAR_REGIONS, country.code)) {
+            state.popularRegion = country.code;
+        }
         saveState();
         
         hideWelcomeScreen();
         updateFeedTabsVisibility();
         renderSubreddits();
         renderSubredditFilter();
+        if (browsingSuggestions && added.length > 0) {
+            showToast(`Added ${added.map(sub => `r/${sub.name}`).join(', ')}`, { type: 'success' });
+        }
         
-        state.subreddits.forEach(sub => {
-            queueSyncJob('fetch_subreddit', sub);
+        added.forEach(sub => {
+            queueSyncJob('fetch_subreddit', sub.name);
         });
         processSyncQueue();
     }
 
+    function browseSuggestions() {
+        if (state.countrySuggestions.length === 0) {
+            showToast('Suggested subreddits could not be loaded', { type: 'warning' });
+            return;
+        }
+        toggleSidebar();
+        showWelcomeScreen({ browsing: true });
+    }
+
     function hideWelcomeScreen() {
         const screen = document.getElementById('welcomeScreen');
         if (screen) screen.classList.remove('active');
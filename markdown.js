@@ -0,0 +1,253 @@
+// Emergency News PWA - Reddit-flavored Markdown renderer
+// Turns post selftext into HTML: headings, paragraphs, lists, tables, block quotes,
+// code, rules, links, emphasis, strikethrough, superscript and >!spoilers!<.
+// The output is NOT trusted - always pass it through ENP.sanitizer before use.
+
+(function(global) {
+    'use strict';
+
+    const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+    const FENCE = /^\s*(`{3,}|~{3,})/;
+    const HEADING = /^\s{0,3}(#{1,6})\s*(.+?)\s*#*\s*$/;
+    const RULE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+    const QUOTE = /^\s{0,3}>(?!!)/; // ">!" starts a spoiler, not a quote
+    const INDENTED_CODE = /^( {4}|\t)/;
+    const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+    const { escapeHTML } = global.ENP.sanitizer;
+
+    // Like escapeHTML, but entities people type on Reddit (&nbsp;, &#9888;) still work
+    function escapeText(text) {
+        return escapeHTML(text).replace(/&amp;(#\d+|#x[0-9a-fA-F]+|[a-zA-Z][a-zA-Z0-9]{1,31});/g, '&$1;');
+    }
+
+    // ============================================================================
+    // INLINE - Code spans, links, emphasis, strikethrough, superscript, spoilers
+    // ============================================================================
+    function renderInline(text) {
+        // Finished HTML is swapped out for placeholders so later rules can't touch it
+        const stashed = [];
+        const stash = html => `\u0000${stashed.push(html) - 1}\u0000`;
+
+        text = text
+            .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (m, ticks, code) => stash(`<code>${escapeHTML(code.trim())}</code>`))
+            .replace(/\\([\\`*_{}[\]()#+\-.!~^>|])/g, (m, char) => stash(escapeHTML(char)))
+            .replace(/>!([\s\S]+?)!</g, (m, inner) => stash(`<span class="md-spoiler">${renderInline(inner)}</span>`))
+            .replace(/\[([^\]]+)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g,
+                (m, label, url) => stash(`<a href="${escapeHTML(url)}">${renderInline(label)}</a>`))
+            .replace(/\bhttps?:\/\/[^\s<>()]+[^\s<>().,;:!?'"*_~]/g,
+                url => stash(`<a href="${escapeHTML(url)}">${escapeHTML(url)}</a>`))
+            .replace(/(^|[^\w/])\/?(r|u)\/([A-Za-z0-9_-]{2,21})\b/g,
+                (m, before, kind, name) => before + stash(`<a href="https://www.reddit.com/${kind}/${name}">${kind}/${name}</a>`));
+
+        text = escapeText(text)
+            .replace(/\^\(([^)]*)\)/g, '<sup>$1</sup>')
+            .replace(/\^([^\s^*_~]+)/g, '<sup>$1</sup>')
+            .replace(/\*\*\*(?=\S)([\s\S]*?\S)\*\*\*/g, '<strong><em>$1</em></strong>')
+            .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+            .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+            .replace(/(^|\W)_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+
+        return text.replace(/\u0000(\d+)\u0000/g, (m, index) => stashed[index]);
+    }
+
+    // ============================================================================
+    // BLOCKS
+    // ============================================================================
+    function isTableStart(lines, i) {
+        return lines[i].includes('|') && i + 1 < lines.length &&
+            lines[i + 1].includes('-') && TABLE_SEPARATOR.test(lines[i + 1]);
+    }
+
+    function startsBlock(lines, i) {
+        const line = lines[i];
+        return FENCE.test(line) || HEADING.test(line) || RULE.test(line) ||
+            QUOTE.test(line) || LIST_ITEM.test(line) || isTableStart(lines, i);
+    }
+
+    function splitRow(row) {
+        return row.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+    }
+
+    function renderTable(lines, start) {
+        const header = splitRow(lines[start]);
+        const aligns = splitRow(lines[start + 1]).map(cell => {
+            if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+            if (cell.endsWith(':')) return 'right';
+            if (cell.startsWith(':')) return 'left';
+            return null;
+        });
+
+        let i = start + 2;
+        const rows = [];
+        while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+            rows.push(splitRow(lines[i++]));
+        }
+
+        const cell = (tag, text, col) =>
+            `<${tag}${aligns[col] ? ` align="${aligns[col]}"` : ''}>${renderInline(text || '')}</${tag}>`;
+        const head = header.map((text, col) => cell('th', text, col)).join('');
+        const body = rows.map(row => `<tr>${header.map((_, col) => cell('td', row[col], col)).join('')}</tr>`).join('');
+
+        return { html: `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`, next: i };
+    }
+
+    /**
+     * A run of list items at one indent. Lines indented past the marker belong to
+     * the item above them, so nested lists and multi-paragraph items work.
+     */
+    function renderList(lines, start) {
+        const first = lines[start].match(LIST_ITEM);
+        const indent = first[1].length;
+        const ordered = /\d/.test(first[2]);
+        const items = [];
+        let loose = false;
+        let i = start;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            const item = line.match(LIST_ITEM);
+
+            if (item && item[1].length <= indent + 1 && /\d/.test(item[2]) === ordered) {
+                items.push({ lines: [item[3]], offset: item[1].length + item[2].length + 1 });
+                i++;
+                continue;
+            }
+            if (item && item[1].length <= indent + 1) break; // A list of the other kind
+
+            const current = items[items.length - 1];
+            if (!line.trim()) {
+                // A blank line only continues the list if more of it follows
+                const next = lines.slice(i + 1).findIndex(l => l.trim());
+                const following = next === -1 ? null : lines[i + 1 + next];
+                const followingItem = following && following.match(LIST_ITEM);
+                const continues = following && (following.search(/\S/) > indent ||
+                    (followingItem && /\d/.test(followingItem[2]) === ordered));
+                if (!continues) break;
+                current.lines.push('');
+                loose = true;
+                i++;
+                continue;
+            }
+
+            const lineIndent = line.search(/\S/);
+            if (lineIndent > indent) {
+                current.lines.push(line.slice(Math.min(lineIndent, current.offset)));
+            } else if (current.lines[current.lines.length - 1].trim() && !startsBlock(lines, i)) {
+                current.lines.push(line.trim()); // Lazy continuation of the item's text
+            } else {
+                break;
+            }
+            i++;
+        }
+
+        const tag = ordered ? 'ol' : 'ul';
+        const number = parseInt(first[2], 10);
+        const startAttr = ordered && number !== 1 ? ` start="${number}"` : '';
+        // Lists with blank lines in them get real paragraphs in every item
+        const body = items.map(item => `<li>${renderBlocks(item.lines, !loose)}</li>`).join('');
+
+        return { html: `<${tag}${startAttr}>${body}</${tag}>`, next: i };
+    }
+
+    /**
+     * @param {string[]} lines
+     * @param {boolean} [tight] - Leave paragraphs unwrapped (list item text)
+     */
+    function renderBlocks(lines, tight = false) {
+        const html = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            const fence = line.match(FENCE);
+            if (fence) {
+                const code = [];
+                i++;
+                while (i < lines.length && !lines[i].trim().startsWith(fence[1])) code.push(lines[i++]);
+                i++;
+                html.push(`<pre><code>${escapeHTML(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            if (INDENTED_CODE.test(line) && !tight) {
+                const code = [];
+                while (i < lines.length && (INDENTED_CODE.test(lines[i]) ||
+                       (!lines[i].trim() && INDENTED_CODE.test(lines[i + 1] || '')))) {
+                    code.push(lines[i++].replace(INDENTED_CODE, ''));
+                }
+                html.push(`<pre><code>${escapeHTML(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            const heading = line.match(HEADING);
+            if (heading) {
+                const level = heading[1].length;
+                html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            if (RULE.test(line)) {
+                html.push('<hr>');
+                i++;
+                continue;
+            }
+
+            if (QUOTE.test(line)) {
+                const quoted = [];
+                while (i < lines.length && QUOTE.test(lines[i])) {
+                    quoted.push(lines[i++].replace(/^\s{0,3}> ?/, ''));
+                }
+                html.push(`<blockquote>${renderBlocks(quoted)}</blockquote>`);
+                continue;
+            }
+
+            if (isTableStart(lines, i)) {
+                const table = renderTable(lines, i);
+                html.push(table.html);
+                i = table.next;
+                continue;
+            }
+
+            if (LIST_ITEM.test(line)) {
+                const list = renderList(lines, i);
+                html.push(list.html);
+                i = list.next;
+                continue;
+            }
+
+            // Paragraph: every line break inside it is kept
+            const paragraph = [line.trim()];
+            i++;
+            while (i < lines.length && lines[i].trim() && !startsBlock(lines, i)) {
+                paragraph.push(lines[i++].trim());
+            }
+            const text = renderInline(paragraph.join('\n')).replace(/\n/g, '<br>');
+            html.push(tight ? text : `<p>${text}</p>`);
+        }
+
+        return html.join('');
+    }
+
+    /**
+     * Render Reddit markdown to (unsanitized) HTML
+     * @param {string} text
+     * @returns {string}
+     */
+    function renderMarkdown(text) {
+        return renderBlocks(String(text || '').replace(/\r\n?/g, '\n').split('\n'));
+    }
+
+    global.ENP.markdown = {
+        render: renderMarkdown
+    };
+
+})(self);
@@ -0,0 +1,469 @@
+// Emergency News PWA - QR codes
+// Moves backups between phones that have no other way to reach each other: the
+// payload is split into numbered parts, each drawn as a QR code (byte mode, error
+// correction level M) for the other phone's camera. Parts carry a transfer id and
+// a checksum of the whole payload, so the receiver can put them back together in
+// any order and tell a finished transfer from a garbled one. Reading codes from
+// the camera is left to the browser's BarcodeDetector.
+
+(function(global) {
+    'use strict';
+
+    // Error correction codewords per block, and number of blocks, for each version
+    // at level M (index 0 unused)
+    const ECC_PER_BLOCK = [-1,
+        10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+        26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+    const NUM_BLOCKS = [-1,
+        1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+        17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+    const MAX_VERSION = 40;
+    const ECL_FORMAT_BITS = 0; // Level M
+
+    const PART_PREFIX = 'ENPQR1';
+
+    // ============================================================================
+    // ENCODER
+    // ============================================================================
+
+    // Modules left for data and error correction once the fixed patterns are drawn
+    function getNumRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    function getNumDataCodewords(version) {
+        return Math.floor(getNumRawDataModules(version) / 8) - ECC_PER_BLOCK[version] * NUM_BLOCKS[version];
+    }
+
+    // Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+    function gfMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11d);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    function reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < degree; j++) {
+                result[j] = gfMultiply(result[j], root);
+                if (j + 1 < degree) result[j] ^= result[j + 1];
+            }
+            root = gfMultiply(root, 0x02);
+        }
+        return result;
+    }
+
+    function reedSolomonRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= gfMultiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+
+    // Split the data into blocks, add each block's error correction, and interleave
+    function addErrorCorrection(data, version) {
+        const numBlocks = NUM_BLOCKS[version];
+        const eccLength = ECC_PER_BLOCK[version];
+        const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+        const divisor = reedSolomonDivisor(eccLength);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < numBlocks; i++) {
+            const length = shortBlockLength - eccLength + (i < numShortBlocks ? 0 : 1);
+            const block = data.slice(offset, offset + length);
+            offset += length;
+            const ecc = reedSolomonRemainder(block, divisor);
+            if (i < numShortBlocks) block.push(0); // Placeholder, skipped below
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLength - eccLength || j >= numShortBlocks) result.push(block[i]);
+            });
+        }
+        return result;
+    }
+
+    function getAlignmentPositions(version) {
+        if (version === 1) return [];
+        const numAlign = Math.floor(version / 7) + 2;
+        const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+        const result = [6];
+        for (let pos = version * 4 + 10; result.length < numAlign; pos -= step) {
+            result.splice(1, 0, pos);
+        }
+        return result;
+    }
+
+    const MASKS = [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x, y) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => x * y % 2 + x * y % 3 === 0,
+        (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+    ];
+
+    function createGrid(size) {
+        return Array.from({ length: size }, () => new Array(size).fill(false));
+    }
+
+    function drawFunctionPatterns(version, modules, isFunction) {
+        const size = modules.length;
+        const set = (x, y, dark) => {
+            modules[y][x] = dark;
+            isFunction[y][x] = true;
+        };
+
+        // Timing patterns
+        for (let i = 0; i < size; i++) {
+            set(6, i, i % 2 === 0);
+            set(i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns, with their light separators
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        });
+
+        // Alignment patterns, except where they'd overlap the finders
+        const positions = getAlignmentPositions(version);
+        const last = positions.length - 1;
+        positions.forEach((cx, i) => {
+            positions.forEach((cy, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Reserve the format areas - the real bits go in once the mask is chosen
+        drawFormatBits(0, modules, isFunction);
+
+        // Version information
+        if (version >= 7) {
+            let remainder = version;
+            for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+            const bits = version << 12 | remainder;
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) !== 0;
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                set(a, b, dark);
+                set(b, a, dark);
+            }
+        }
+    }
+
+    function drawFormatBits(mask, modules, isFunction) {
+        const size = modules.length;
+        const data = ECL_FORMAT_BITS << 3 | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        const bits = (data << 10 | remainder) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) !== 0;
+        const set = (x, y, dark) => {
+            modules[y][x] = dark;
+            isFunction[y][x] = true;
+        };
+
+        // Around the top left finder
+        for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+        set(8, 7, bit(6));
+        set(8, 8, bit(7));
+        set(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+        // Split between the other two finders
+        for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+        set(8, size - 8, true); // Always dark
+    }
+
+    // Codewords go in two-module columns, zigzagging up and down from the right
+    function drawCodewords(codewords, modules, isFunction) {
+        const size = modules.length;
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5; // Skip the vertical timing pattern
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vertical : vertical;
+                    if (!isFunction[y][x] && i < codewords.length * 8) {
+                        modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    function applyMask(mask, modules, isFunction) {
+        const size = modules.length;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (!isFunction[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+            }
+        }
+    }
+
+    // How hard the code is to read - long runs, blocks, finder look-alikes and
+    // an uneven dark/light balance all count against it
+    function getPenalty(modules) {
+        const size = modules.length;
+        let penalty = 0;
+
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i]);
+            lines.push(modules.map(row => row[i]));
+        }
+
+        lines.forEach(line => {
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) penalty += run - 2;
+                    run = 1;
+                }
+            }
+
+            const text = line.map(dark => dark ? '1' : '0').join('');
+            const finderLike = /(?=(10111010000|00001011101))/g;
+            penalty += 40 * [...text.matchAll(finderLike)].length;
+        });
+
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const dark = modules[y][x];
+                if (dark === modules[y][x + 1] && dark === modules[y + 1][x] && dark === modules[y + 1][x + 1]) {
+                    penalty += 3;
+                }
+            }
+        }
+
+        const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+        const total = size * size;
+        penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+        return penalty;
+    }
+
+    /**
+     * Encode text as a QR code, in the smallest version it fits
+     * @param {string} text
+     * @returns {{size: number, modules: boolean[][]}} modules[y][x] is true for dark
+     * @throws {Error} If the text doesn't fit in a single code
+     */
+    function encode(text) {
+        const bytes = [...new TextEncoder().encode(text)];
+
+        let version = 1;
+        for (; version <= MAX_VERSION; version++) {
+            const countBits = version <= 9 ? 8 : 16;
+            if (4 + countBits + bytes.length * 8 <= getNumDataCodewords(version) * 8) break;
+        }
+        if (version > MAX_VERSION) throw new Error('Too much data for one QR code');
+
+        // Byte mode segment, terminator and padding
+        const bits = [];
+        const push = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+        push(0b0100, 4);
+        push(bytes.length, version <= 9 ? 8 : 16);
+        bytes.forEach(byte => push(byte, 8));
+
+        const capacity = getNumDataCodewords(version) * 8;
+        push(0, Math.min(4, capacity - bits.length));
+        push(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) push(pad, 8);
+
+        const data = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            data.push(bits.slice(i, i + 8).reduce((byte, bit) => byte << 1 | bit, 0));
+        }
+
+        const size = version * 4 + 17;
+        const modules = createGrid(size);
+        const isFunction = createGrid(size);
+        drawFunctionPatterns(version, modules, isFunction);
+        drawCodewords(addErrorCorrection(data, version), modules, isFunction);
+
+        // Keep the mask that leaves the code easiest to read
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+        for (let mask = 0; mask < MASKS.length; mask++) {
+            applyMask(mask, modules, isFunction);
+            drawFormatBits(mask, modules, isFunction);
+            const penalty = getPenalty(modules);
+            if (penalty < bestPenalty) {
+                bestMask = mask;
+                bestPenalty = penalty;
+            }
+            applyMask(mask, modules, isFunction); // Undo
+        }
+        applyMask(bestMask, modules, isFunction);
+        drawFormatBits(bestMask, modules, isFunction);
+
+        return { size, modules };
+    }
+
+    /**
+     * Draw a code on a canvas, with the light border scanners need around it
+     * @param {number} [moduleSize] - Pixels per module
+     */
+    function drawToCanvas(code, canvas, moduleSize = 6) {
+        const border = 4;
+        const pixels = (code.size + border * 2) * moduleSize;
+        canvas.width = pixels;
+        canvas.height = pixels;
+
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, pixels, pixels);
+        context.fillStyle = '#000000';
+        code.modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (dark) context.fillRect((x + border) * moduleSize, (y + border) * moduleSize, moduleSize, moduleSize);
+            });
+        });
+    }
+
+    // ============================================================================
+    // PARTS - "ENPQR1|transfer id|part|of|checksum|data"
+    // ============================================================================
+
+    const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        return c >>> 0;
+    });
+
+    // CRC-32 of a string's UTF-8 bytes, as 8 hex digits
+    function checksum(text) {
+        let crc = 0xffffffff;
+        new TextEncoder().encode(text).forEach(byte => {
+            crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+        });
+        return ((crc ^ 0xffffffff) >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Split a payload into the texts of its codes
+     * @param {string} payload - ASCII, e.g. base64
+     * @param {number} partLength - Payload characters per code
+     * @returns {string[]}
+     */
+    function splitPayload(payload, partLength) {
+        const id = Math.random().toString(36).slice(2, 8);
+        const sum = checksum(payload);
+        const total = Math.max(1, Math.ceil(payload.length / partLength));
+        return Array.from({ length: total }, (_, i) =>
+            [PART_PREFIX, id, i + 1, total, sum, payload.slice(i * partLength, (i + 1) * partLength)].join('|')
+        );
+    }
+
+    function parsePart(text) {
+        const fields = String(text).split('|');
+        if (fields.length !== 6 || fields[0] !== PART_PREFIX) return null;
+        const [, id, index, total, sum, data] = fields;
+        const part = { id, index: Number(index), total: Number(total), checksum: sum, data };
+        if (!Number.isInteger(part.index) || !Number.isInteger(part.total) ||
+            part.index < 1 || part.index > part.total || !/^[0-9a-f]{8}$/.test(sum)) return null;
+        return part;
+    }
+
+    /**
+     * Collects scanned parts of one transfer, in any order
+     * @returns {{add: Function, reset: Function, progress: Function}}
+     */
+    function createAssembler() {
+        let transfer = null; // { id, total, checksum, parts: Map(index -> data) }
+
+        const progress = () => ({
+            received: transfer ? transfer.parts.size : 0,
+            total: transfer ? transfer.total : 0
+        });
+
+        /**
+         * @returns {{status: string, received: number, total: number, payload?: string}}
+         *     status is 'added', 'duplicate', 'invalid' (not one of our codes),
+         *     'foreign' (another transfer's), 'corrupt' (finished but the checksum
+         *     doesn't match - start over) or 'complete' (payload is set)
+         */
+        function add(text) {
+            const part = parsePart(text);
+            if (!part) return { status: 'invalid', ...progress() };
+
+            if (!transfer) {
+                transfer = { id: part.id, total: part.total, checksum: part.checksum, parts: new Map() };
+            } else if (part.id !== transfer.id || part.total !== transfer.total || part.checksum !== transfer.checksum) {
+                return { status: 'foreign', ...progress() };
+            }
+
+            if (transfer.parts.has(part.index)) return { status: 'duplicate', ...progress() };
+            transfer.parts.set(part.index, part.data);
+            if (transfer.parts.size < transfer.total) return { status: 'added', ...progress() };
+
+            const payload = Array.from({ length: transfer.total }, (_, i) => transfer.parts.get(i + 1)).join('');
+            if (checksum(payload) !== transfer.checksum) {
+                const result = { status: 'corrupt', ...progress() };
+                transfer = null;
+                return result;
+            }
+            return { status: 'complete', ...progress(), payload };
+        }
+
+        return {
+            add,
+            reset: () => { transfer = null; },
+            progress
+        };
+    }
+
+    global.ENP.qr = {
+        encode,
+        drawToCanvas,
+        splitPayload,
+        createAssembler
+    };
+
+})(self);
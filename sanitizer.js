@@ -0,0 +1,143 @@
+// Emergency News PWA - HTML sanitizer
+// Everything from Reddit goes through here on its way into innerHTML. Plain values
+// (titles, names, ids) are escaped with escapeHTML, URLs are checked against a
+// scheme allowlist with safeUrl/safeMediaUrl, and HTML built from Reddit content
+// is cleaned with sanitizeHTML. The allowlist sanitizer drops anything not
+// explicitly allowed: unknown elements are unwrapped to their text, dangerous ones
+// are removed with their content, and every attribute not on the list - event
+// handlers, styles, ids - is stripped.
+
+(function(global) {
+    'use strict';
+
+    // Elements kept as-is (minus attributes not allowed below)
+    const ALLOWED_TAGS = new Set([
+        'p', 'br', 'hr', 'strong', 'em', 'del', 'sup', 'code', 'pre', 'blockquote',
+        'ul', 'ol', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+        'table', 'thead', 'tbody', 'tr', 'th', 'td', 'a', 'span'
+    ]);
+
+    // Elements removed together with everything inside them
+    const DROPPED_TAGS = new Set([
+        'script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript',
+        'svg', 'math', 'form', 'input', 'button', 'textarea', 'select', 'link', 'meta', 'base'
+    ]);
+
+    // Allowed attributes per element, with a check for each value
+    const ALLOWED_ATTRIBUTES = {
+        a: { href: value => isSafeUrl(value) },
+        th: { align: value => ['left', 'center', 'right'].includes(value) },
+        td: { align: value => ['left', 'center', 'right'].includes(value) },
+        span: { class: value => value === 'md-spoiler' },
+        ol: { start: value => /^\d{1,9}$/.test(value) }
+    };
+
+    const SAFE_URL_SCHEMES = ['http:', 'https:', 'mailto:'];
+    // Images, videos and audio only ever come from the web
+    const MEDIA_URL_SCHEMES = ['http:', 'https:'];
+
+    /**
+     * Escape text for use in HTML - element content and quoted attribute values alike
+     * @param {*} text - null and undefined become an empty string
+     * @returns {string}
+     */
+    function escapeHTML(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Whether a link target is safe to put in an href: http(s) and mailto only,
+     * so javascript:, data: and friends never make it into the page
+     * @param {string[]} [schemes] - Allowed protocols, e.g. ['https:']
+     */
+    function isSafeUrl(url, schemes = SAFE_URL_SCHEMES) {
+        try {
+            return schemes.includes(new URL(String(url).trim(), 'https://www.reddit.com').protocol);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * The URL itself if it passes isSafeUrl, otherwise an empty string. Still
+     * needs escapeHTML before going into an attribute.
+     */
+    function safeUrl(url) {
+        return url && isSafeUrl(url) ? String(url).trim() : '';
+    }
+
+    // Like safeUrl, for img/video/audio sources
+    function safeMediaUrl(url) {
+        return url && isSafeUrl(url, MEDIA_URL_SCHEMES) ? String(url).trim() : '';
+    }
+
+    function cleanNode(node) {
+        [...node.childNodes].forEach(child => {
+            if (child.nodeType === Node.TEXT_NODE) return;
+
+            if (child.nodeType !== Node.ELEMENT_NODE) {
+                child.remove(); // Comments, processing instructions
+                return;
+            }
+
+            const tag = child.tagName.toLowerCase();
+
+            if (DROPPED_TAGS.has(tag)) {
+                child.remove();
+                return;
+            }
+
+            cleanNode(child);
+
+            if (!ALLOWED_TAGS.has(tag)) {
+                child.replaceWith(...child.childNodes);
+                return;
+            }
+
+            const allowed = ALLOWED_ATTRIBUTES[tag] || {};
+            [...child.attributes].forEach(attr => {
+                const check = allowed[attr.name];
+                if (!check || !check(attr.value)) child.removeAttribute(attr.name);
+            });
+
+            // Links always open outside the app, without access to it
+            if (tag === 'a') {
+                child.setAttribute('target', '_blank');
+                child.setAttribute('rel', 'noopener noreferrer');
+            }
+        });
+    }
+
+    /**
+     * Sanitize an HTML string
+     * @returns {DocumentFragment} Inert fragment holding only allowed markup
+     */
+    function sanitizeFragment(html) {
+        // Template content is inert: nothing in it runs or loads while we clean it
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        cleanNode(template.content);
+        return template.content;
+    }
+
+    function sanitizeHTML(html) {
+        const container = document.createElement('div');
+        container.appendChild(sanitizeFragment(html));
+        return container.innerHTML;
+    }
+
+    global.ENP.sanitizer = {
+        escapeHTML,
+        isSafeUrl,
+        safeUrl,
+        safeMediaUrl,
+        sanitizeFragment,
+        sanitizeHTML
+    };
+
+})(self);
@@ -0,0 +1,194 @@
+// Emergency News PWA - Full-text search over saved posts
+// An inverted index from words to posts, kept up to date by diffing post object
+// references (posts are replaced, never mutated) so only new and changed posts are
+// re-indexed. Matching ignores case and diacritics - "evacuacao" finds "evacuação" -
+// and every query word matches as a prefix, so results show up while typing.
+
+(function(global) {
+    'use strict';
+
+    // Where a word appears decides how much a match counts
+    const FIELD_WEIGHTS = {
+        title: 3,
+        subreddit: 2,
+        author: 2,
+        selftext: 1
+    };
+
+    const WORD = /[\p{L}\p{N}]+/gu;
+
+    // Lowercase and strip accents: "Evacuação" -> "evacuacao"
+    const normalize = global.ENP.normalizeText;
+
+    function tokenize(text) {
+        return normalize(text).match(WORD) || [];
+    }
+
+    /**
+     * Create an empty index
+     * @returns {{sync: Function, query: Function, size: Function}}
+     */
+    function createIndex() {
+        const postings = new Map(); // word -> Map(docKey -> weight)
+        const docs = new Map(); // docKey -> { ref, words }
+
+        function add(key, post) {
+            const words = new Map();
+            Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+                tokenize(post[field]).forEach(word => {
+                    words.set(word, Math.max(words.get(word) || 0, weight));
+                });
+            });
+
+            words.forEach((weight, word) => {
+                if (!postings.has(word)) postings.set(word, new Map());
+                postings.get(word).set(key, weight);
+            });
+            docs.set(key, { ref: post, words: [...words.keys()] });
+        }
+
+        function remove(key) {
+            const doc = docs.get(key);
+            if (!doc) return;
+
+            doc.words.forEach(word => {
+                const entries = postings.get(word);
+                entries.delete(key);
+                if (entries.size === 0) postings.delete(word);
+            });
+            docs.delete(key);
+        }
+
+        /**
+         * Bring the index in line with the current posts
+         * @param {Map<string, Object>} current - docKey -> post
+         * @returns {number} Posts (re-)indexed
+         */
+        function sync(current) {
+            let indexed = 0;
+
+            [...docs.keys()].forEach(key => {
+                if (!current.has(key)) remove(key);
+            });
+
+            current.forEach((post, key) => {
+                const doc = docs.get(key);
+                if (doc && doc.ref === post) return;
+                remove(key);
+                add(key, post);
+                indexed++;
+            });
+
+            return indexed;
+        }
+
+        /**
+         * Posts containing every word of the query (as a word prefix)
+         * @returns {Array<{key: string, score: number}>} Best matches first
+         */
+        function query(text) {
+            const terms = [...new Set(tokenize(text))];
+            if (terms.length === 0) return [];
+
+            let scores = null;
+            for (const term of terms) {
+                const termScores = new Map();
+                postings.forEach((entries, word) => {
+                    if (!word.startsWith(term)) return;
+                    entries.forEach((weight, key) => {
+                        termScores.set(key, Math.max(termScores.get(key) || 0, weight));
+                    });
+                });
+
+                if (scores) {
+                    // Every term must match
+                    scores.forEach((score, key) => {
+                        if (termScores.has(key)) scores.set(key, score + termScores.get(key));
+                        else scores.delete(key);
+                    });
+                } else {
+                    scores = termScores;
+                }
+                if (scores.size === 0) return [];
+            }
+
+            return [...scores].map(([key, score]) => ({ key, score })).sort((a, b) => b.score - a.score);
+        }
+
+        return {
+            sync,
+            query,
+            size: () => docs.size
+        };
+    }
+
+    /**
+     * Wrap the words of an element's text that start with a query term in <mark>.
+     * Works on text nodes only, so markup already in the element is untouched.
+     */
+    function highlight(root, text) {
+        const terms = [...new Set(tokenize(text))];
+        if (terms.length === 0) return;
+
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        while (walker.nextNode()) nodes.push(walker.currentNode);
+
+        nodes.forEach(node => {
+            const original = node.nodeValue;
+
+            // Normalized text, with the position in the original of each character
+            let normalized = '';
+            const positions = [];
+            for (let i = 0; i < original.length;) {
+                const char = String.fromCodePoint(original.codePointAt(i));
+                const folded = normalize(char);
+                for (let j = 0; j < folded.length; j++) positions.push(i);
+                normalized += folded;
+                i += char.length;
+            }
+            positions.push(original.length);
+
+            const ranges = [];
+            terms.forEach(term => {
+                const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${term}`, 'gu');
+                let match;
+                while ((match = pattern.exec(normalized))) {
+                    ranges.push([positions[match.index], positions[match.index + term.length]]);
+                }
+            });
+            if (ranges.length === 0) return;
+
+            // Merge overlapping matches, then rebuild the text around <mark>s
+            ranges.sort((a, b) => a[0] - b[0]);
+            const merged = [ranges[0]];
+            ranges.slice(1).forEach(([start, end]) => {
+                const last = merged[merged.length - 1];
+                if (start <= last[1]) last[1] = Math.max(last[1], end);
+                else merged.push([start, end]);
+            });
+
+            const fragment = document.createDocumentFragment();
+            let offset = 0;
+            merged.forEach(([start, end]) => {
+                if (start > offset) fragment.appendChild(document.createTextNode(original.slice(offset, start)));
+                const mark = document.createElement('mark');
+                mark.className = 'search-highlight';
+                mark.textContent = original.slice(start, end);
+                fragment.appendChild(mark);
+                offset = end;
+            });
+            if (offset < original.length) fragment.appendChild(document.createTextNode(original.slice(offset)));
+
+            node.replaceWith(fragment);
+        });
+    }
+
+    global.ENP.search = {
+        normalize,
+        tokenize,
+        createIndex,
+        highlight
+    };
+
+})(self);
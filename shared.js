@@ -0,0 +1,445 @@
+// Emergency News PWA - Code shared by the page (app.js) and the service worker (sw.js)
+// Loaded with <script> in index.html and importScripts() in sw.js. Everything here
+// must run in both a window and a worker: no DOM, no localStorage.
+
+(function(global) {
+    'use strict';
+
+    // ============================================================================
+    // CONFIGURATION - Values both sides must agree on
+    // ============================================================================
+    const CONFIG = {
+        REQUEST_INTERVAL: 1200, // 1.2 seconds between requests
+        REQUEST_TIMEOUT: 15000,
+        MAX_RETRIES: 3,
+        POSTS_LIMIT: 25,
+        MAX_POST_AGE_DAYS: 30, // Posts older than this will be deleted
+        COMMENTS_LIMIT: 50, // Top-level comments fetched per post
+        COMMENTS_MAX_DEPTH: 4, // Reply levels kept below each top-level comment
+        INFO_BATCH_SIZE: 100, // Posts looked up per /api/info request (Reddit's maximum)
+
+        // Image sizes
+        IMAGE_MIN_WIDTH: 640,
+        IMAGE_MAX_WIDTH: 960
+    };
+
+    // Tags for Background Sync (one-off, drains the queue once back online) and
+    // Periodic Background Sync (refreshes every feed while the app is closed)
+    const SYNC_TAGS = {
+        QUEUE: 'enpwa-sync-queue',
+        REFRESH: 'enpwa-refresh-feeds'
+    };
+
+    // Images of starred posts. Not versioned like the service worker's caches, so
+    // it survives app updates; the page adds and removes entries as posts are
+    // starred and un-starred
+    const MEDIA_CACHE = 'enpwa-starred-media';
+
+    // Images that came in a news bundle, for posts that aren't starred. Kept across
+    // updates too; the page drops them once their posts are cleaned up
+    const BUNDLE_MEDIA_CACHE = 'enpwa-bundle-media';
+
+    // ============================================================================
+    // INDEXEDDB SCHEMA
+    // ============================================================================
+    const DB_CONFIG = {
+        NAME: 'enpwa',
+        VERSION: 2,
+        // Collections mirrored from the page's in-memory state
+        STORES: {
+            POSTS: 'posts',
+            PENDING: 'pending',
+            STARRED: 'starred',
+            QUEUE: 'syncQueue'
+        },
+        // Key/value records the service worker needs but can't read from localStorage
+        META_STORE: 'meta',
+        META_KEYS: {
+            SYNC_SETTINGS: 'syncSettings', // Followed subreddits, the background refresh toggle, the watchlist and the Popular region
+            BACKGROUND_LOG: 'backgroundLog', // Activity log entries written while the app was closed
+            BACKGROUND_STATE: 'backgroundState' // Feed lastFetch times and unavailable subreddits found while the app was closed
+        }
+    };
+
+    /**
+     * Open (creating or upgrading if needed) the app database
+     * @param {Function} [onVersionChange] - Called after the connection is closed
+     *        because a newer version of the app wants to upgrade the schema
+     * @returns {Promise<IDBDatabase>}
+     */
+    function openDatabase(onVersionChange) {
+        return new Promise((resolve, reject) => {
+            if (!('indexedDB' in global)) {
+                reject(new Error('IndexedDB not supported'));
+                return;
+            }
+
+            const request = indexedDB.open(DB_CONFIG.NAME, DB_CONFIG.VERSION);
+
+            request.onupgradeneeded = () => {
+                const database = request.result;
+                const { POSTS, PENDING, STARRED, QUEUE } = DB_CONFIG.STORES;
+
+                // Feed posts are keyed by [feed, id] - the same post can be cached
+                // in both My Feed and Popular
+                [POSTS, PENDING].forEach(name => {
+                    if (!database.objectStoreNames.contains(name)) {
+                        const store = database.createObjectStore(name, { keyPath: ['feed', 'id'] });
+                        store.createIndex('subreddit', 'subreddit');
+                        store.createIndex('created_utc', 'created_utc');
+                    }
+                });
+
+                if (!database.objectStoreNames.contains(STARRED)) {
+                    const store = database.createObjectStore(STARRED, { keyPath: 'id' });
+                    store.createIndex('subreddit', 'subreddit');
+                    store.createIndex('created_utc', 'created_utc');
+                }
+
+                if (!database.objectStoreNames.contains(QUEUE)) {
+                    database.createObjectStore(QUEUE, { keyPath: 'id' });
+                }
+
+                if (!database.objectStoreNames.contains(DB_CONFIG.META_STORE)) {
+                    database.createObjectStore(DB_CONFIG.META_STORE, { keyPath: 'key' });
+                }
+            };
+
+            request.onsuccess = () => {
+                const database = request.result;
+                // Let a newer version of the app upgrade the schema from another tab
+                database.onversionchange = () => {
+                    database.close();
+                    if (onVersionChange) onVersionChange();
+                };
+                resolve(database);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Database upgrade blocked by another tab'));
+        });
+    }
+
+    // ============================================================================
+    // REDDIT FEEDS
+    // ============================================================================
+
+    // Listing orders a followed subreddit can be fetched in -> listing path
+    const SUBREDDIT_SORTS = {
+        hot: '',
+        new: '/new',
+        top: '/top', // Top of the last day
+        rising: '/rising'
+    };
+
+    // Regions Reddit can narrow Popular down to (its geo_filter values)
+    const POPULAR_REGIONS = {
+        GLOBAL: 'Everywhere',
+        AR: 'Argentina',
+        AU: 'Australia',
+        BG: 'Bulgaria',
+        CA: 'Canada',
+        CL: 'Chile',
+        CO: 'Colombia',
+        HR: 'Croatia',
+        CZ: 'Czech Republic',
+        FI: 'Finland',
+        FR: 'France',
+        DE: 'Germany',
+        GR: 'Greece',
+        HU: 'Hungary',
+        IS: 'Iceland',
+        IN: 'India',
+        IE: 'Ireland',
+        IT: 'Italy',
+        JP: 'Japan',
+        MY: 'Malaysia',
+        MX: 'Mexico',
+        NZ: 'New Zealand',
+        PH: 'Philippines',
+        PL: 'Poland',
+        PT: 'Portugal',
+        PR: 'Puerto Rico',
+        RO: 'Romania',
+        RS: 'Serbia',
+        SG: 'Singapore',
+        ES: 'Spain',
+        SE: 'Sweden',
+        TW: 'Taiwan',
+        TH: 'Thailand',
+        TR: 'Turkey',
+        GB: 'United Kingdom',
+        US: 'United States'
+    };
+
+    /**
+     * @param {string} [after] - Listing cursor (a post fullname) to fetch the next page
+     * @param {Object} [options]
+     * @param {string} [options.sort] - One of SUBREDDIT_SORTS, for subreddits
+     * @param {string} [options.region] - One of POPULAR_REGIONS, for Popular
+     */
+    function buildFeedUrl(feedType, subreddit, after = null, { sort = 'hot', region = 'GLOBAL' } = {}) {
+        const cursor = after ? `&after=${encodeURIComponent(after)}` : '';
+        if (feedType === 'popular') {
+            const geo = region !== 'GLOBAL' && Object.hasOwn(POPULAR_REGIONS, region) ? `&geo_filter=${region}` : '';
+            return `https://www.reddit.com/r/popular/best.json?limit=${CONFIG.POSTS_LIMIT}${geo}&raw_json=1${cursor}`;
+        }
+        const path = SUBREDDIT_SORTS[sort] || '';
+        const period = sort === 'top' ? '&t=day' : '';
+        return `https://www.reddit.com/r/${subreddit}${path}.json?limit=${CONFIG.POSTS_LIMIT}${period}&raw_json=1${cursor}`;
+    }
+
+    // Current copies of specific posts, wherever they are on Reddit
+    function buildInfoUrl(postIds) {
+        const names = postIds.map(id => `t3_${id}`).join(',');
+        return `https://www.reddit.com/api/info.json?id=${encodeURIComponent(names)}&raw_json=1`;
+    }
+
+    // A subreddit's details: the name as Reddit spells it, and whether it can be read
+    function buildAboutUrl(subreddit) {
+        return `https://www.reddit.com/r/${encodeURIComponent(subreddit)}/about.json?raw_json=1`;
+    }
+
+    function buildCommentsUrl(postId) {
+        return `https://www.reddit.com/comments/${postId}.json?limit=${CONFIG.COMMENTS_LIMIT}&depth=${CONFIG.COMMENTS_MAX_DEPTH}&sort=top&raw_json=1`;
+    }
+
+    function stripPostData(post) {
+        const result = {
+            id: post.id,
+            title: post.title,
+            author: post.author,
+            subreddit: post.subreddit,
+            permalink: post.permalink,
+            created_utc: post.created_utc,
+            ups: post.ups,
+            num_comments: post.num_comments,
+            selftext: post.selftext || '',
+            url: post.url || '',
+            is_video: post.is_video || false
+        };
+
+        // Deleted by its author or removed by moderators or Reddit
+        if (post.removed_by_category || post.selftext === '[removed]' || post.selftext === '[deleted]') {
+            result.removed = true;
+        }
+
+        // Gallery images - use 640px preview resolution
+        if (post.gallery_data && post.media_metadata) {
+            result.gallery = post.gallery_data.items.map(item => {
+                const media = post.media_metadata[item.media_id];
+                if (media && media.p) {
+                    // Use preview resolutions around 640px width
+                    const resolutions = media.p;
+                    const mediumRes = resolutions.find(r => r.x >= CONFIG.IMAGE_MIN_WIDTH && r.x <= CONFIG.IMAGE_MAX_WIDTH) ||
+                                     resolutions[resolutions.length - 1];
+                    if (mediumRes && mediumRes.u) {
+                        return mediumRes.u.replace(/&amp;/g, '&');
+                    }
+                }
+                // Fallback to source
+                if (media && media.s && media.s.u) {
+                    return media.s.u.replace(/&amp;/g, '&');
+                }
+                return null;
+            }).filter(Boolean);
+        } else if (post.preview?.images?.[0]) {
+            // Use preview resolution around 640px width
+            const preview = post.preview.images[0];
+            const resolutions = preview.resolutions || [];
+            const mediumRes = resolutions.find(r => r.width >= CONFIG.IMAGE_MIN_WIDTH && r.width <= CONFIG.IMAGE_MAX_WIDTH) ||
+                             resolutions[resolutions.length - 1] ||
+                             preview.source;
+            if (mediumRes && mediumRes.url) {
+                result.gallery = [mediumRes.url.replace(/&amp;/g, '&')];
+            }
+        }
+
+        // Video
+        if (post.is_video && post.media?.reddit_video) {
+            const videoData = post.media.reddit_video;
+            result.video_url = videoData.fallback_url || videoData.dash_url;
+            // Reddit DASH videos have separate audio - construct audio URL
+            if (videoData.fallback_url) {
+                // Audio is typically at DASH_AUDIO.mp4 or DASH_audio.mp4
+                result.audio_url = videoData.fallback_url.replace(/DASH_\d+\.mp4/, 'DASH_AUDIO.mp4');
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Fetch with an abort after CONFIG.REQUEST_TIMEOUT
+     * @returns {Promise<Response>}
+     */
+    async function fetchWithTimeout(url) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), CONFIG.REQUEST_TIMEOUT);
+        try {
+            return await fetch(url, { signal: controller.signal });
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    // Why Reddit answered 403 or 404 for a subreddit: 'private', 'banned',
+    // 'quarantined' or 'not_found'
+    function getUnavailableReason(httpStatus, body) {
+        const reason = body && body.reason;
+        if (reason === 'private' || reason === 'banned' || reason === 'quarantined') return reason;
+        return httpStatus === 403 ? 'private' : 'not_found';
+    }
+
+    // Reddit listing JSON -> stripped posts
+    function parseListing(data) {
+        return data.data.children.map(child => stripPostData(child.data));
+    }
+
+    function isFreshPost(post, now = Date.now() / 1000) {
+        return (now - post.created_utc) <= CONFIG.MAX_POST_AGE_DAYS * 24 * 60 * 60;
+    }
+
+    /**
+     * A cached post brought up to date with a newly fetched copy: score, comment
+     * count and edited text. A post removed upstream keeps the text we saved and
+     * is flagged instead.
+     * @returns {Object} The cached post itself if nothing changed, else a new object
+     */
+    function mergePostUpdate(cached, fetched) {
+        const updates = {};
+        if (fetched.ups !== cached.ups) updates.ups = fetched.ups;
+        if (fetched.num_comments !== cached.num_comments) updates.num_comments = fetched.num_comments;
+
+        if (fetched.removed) {
+            if (!cached.removed) updates.removed = true;
+        } else {
+            if (cached.removed) updates.removed = false; // Approved again
+            if (fetched.selftext !== cached.selftext) updates.selftext = fetched.selftext;
+        }
+
+        return Object.keys(updates).length > 0 ? { ...cached, ...updates } : cached;
+    }
+
+    // ============================================================================
+    // TEXT MATCHING
+    // ============================================================================
+    const DIACRITICS = /[\u0300-\u036f]/g;
+
+    // More watchlist matches than this in one sync are summed up in one notification
+    const WATCH_NOTIFICATIONS_MAX = 3;
+
+    // Lowercase and strip accents: "Evacuação" -> "evacuacao"
+    function normalizeText(text) {
+        return String(text || '').normalize('NFD').replace(DIACRITICS, '').toLowerCase();
+    }
+
+    /**
+     * Watchlist terms found in a post's title or text - as whole words, ignoring
+     * case and accents
+     * @param {string[]} watchlist
+     * @returns {string[]} Matching terms, in watchlist order
+     */
+    function matchWatchlist(post, watchlist) {
+        if (!watchlist || watchlist.length === 0) return [];
+        const text = normalizeText(`${post.title}\n${post.selftext || ''}`);
+        return watchlist.filter(term => {
+            const phrase = normalizeText(term).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            return phrase && new RegExp(`(?<![\\p{L}\\p{N}])${phrase}(?![\\p{L}\\p{N}])`, 'u').test(text);
+        });
+    }
+
+    /**
+     * Notifications for new posts matching the watchlist: one per post, or a
+     * single summary when many arrive at once
+     * @param {Array<{post: Object, terms: string[]}>} matches
+     * @returns {Array<{title: string, options: Object}>} For showNotification()
+     */
+    function buildWatchNotifications(matches) {
+        if (matches.length > WATCH_NOTIFICATIONS_MAX) {
+            const terms = [...new Set(matches.flatMap(match => match.terms))];
+            return [{
+                title: `${matches.length} new posts match your watchlist`,
+                options: {
+                    body: terms.map(term => `"${term}"`).join(', '),
+                    tag: 'enpwa-watchlist',
+                    icon: './reddit-icon-192.png',
+                    data: { postId: null }
+                }
+            }];
+        }
+
+        return matches.map(({ post, terms }) => ({
+            title: `Watchlist: ${terms.map(term => `"${term}"`).join(', ')}`,
+            options: {
+                body: `${post.title}\nr/${post.subreddit}`,
+                tag: `enpwa-watch-${post.id}`,
+                icon: './reddit-icon-192.png',
+                data: { postId: post.id }
+            }
+        }));
+    }
+
+    // ============================================================================
+    // SYNC JOBS
+    // ============================================================================
+    /**
+     * @param {string} [postId] - Post a fetch_comments job is for
+     */
+    function createSyncJob(type, subreddit = null, postId = null) {
+        return {
+            id: `${type}-${postId || subreddit || 'popular'}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            type,
+            subreddit,
+            postId,
+            status: 'pending',
+            retries: 0,
+            timestamp: Date.now(),
+            startTime: null
+        };
+    }
+
+    // Whether an equivalent job is already waiting or running
+    function isDuplicateJob(queue, type, subreddit = null, postId = null) {
+        return queue.some(job =>
+            job.type === type &&
+            job.subreddit === subreddit &&
+            (job.postId || null) === postId &&
+            job.status !== 'completed' &&
+            job.status !== 'failed_max_retries'
+        );
+    }
+
+    // Whether a followed subreddit belongs in a full refresh: ones Reddit said are
+    // missing, private, banned or quarantined are only looked up again on re-add
+    function isRefreshableSubreddit(sub) {
+        return !sub.status || sub.status === 'pending';
+    }
+
+    global.ENP = {
+        CONFIG,
+        SYNC_TAGS,
+        MEDIA_CACHE,
+        BUNDLE_MEDIA_CACHE,
+        DB_CONFIG,
+        SUBREDDIT_SORTS,
+        POPULAR_REGIONS,
+        openDatabase,
+        buildFeedUrl,
+        buildInfoUrl,
+        buildAboutUrl,
+        buildCommentsUrl,
+        stripPostData,
+        fetchWithTimeout,
+        getUnavailableReason,
+        parseListing,
+        isFreshPost,
+        mergePostUpdate,
+        normalizeText,
+        matchWatchlist,
+        buildWatchNotifications,
+        createSyncJob,
+        isDuplicateJob,
+        isRefreshableSubreddit
+    };
+
+})(self);
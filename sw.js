@@ -2,7 +2,9 @@
 // TO UPDATE: increment CACHE_VERSION below (e.g. 'v75' -> 'v76') whenever you change ANY file.
 // That is the only thing you need to change — old caches are cleaned up automatically.
 
-const CACHE_VERSION = 'v77';
+importScripts('./shared.js');
+
+const CACHE_VERSION = 'v110';
 const CACHE_NAME = `reddit-pwa-app-shell-${CACHE_VERSION}`;
 const RUNTIME_CACHE = `reddit-pwa-runtime-${CACHE_VERSION}`;
 
@@ -10,9 +12,15 @@ const RUNTIME_CACHE = `reddit-pwa-runtime-${CACHE_VERSION}`;
 const APP_SHELL_FILES = [
     './',
     './index.html',
+    './shared.js',
+    './sanitizer.js',
+    './markdown.js',
+    './search.js',
+    './qr.js',
     './app.js',
     './styles.css',
     './manifest.json',
+    './subreddit-suggestions.json',
     './reddit-icon-192.png',
     './reddit-icon-512.png'
 ];
@@ -41,7 +49,8 @@ self.addEventListener('install', event => {
 // ACTIVATE EVENT - Take control immediately and clean up old version caches
 // ============================================================================
 self.addEventListener('activate', event => {
-    const currentCaches = [CACHE_NAME, RUNTIME_CACHE];
+    // The starred and bundle media caches are kept across versions - their images stay offline
+    const currentCaches = [CACHE_NAME, RUNTIME_CACHE, ENP.MEDIA_CACHE, ENP.BUNDLE_MEDIA_CACHE];
 
     event.waitUntil(
         caches.keys()
@@ -125,7 +134,8 @@ self.addEventListener('fetch', event => {
         return;
     }
 
-    // For images - cache first with network fallback
+    // For images - cache first with network fallback (caches.match also finds
+    // images of starred posts pinned in the media cache, and ones from bundles)
     if (request.destination === 'image') {
         event.respondWith(
             caches.match(request)
@@ -187,10 +197,310 @@ self.addEventListener('message', event => {
     }
 });
 
+// ============================================================================
+// BACKGROUND SYNC - Fetch feeds while the app is closed
+// ============================================================================
+const { CONFIG, DB_CONFIG, SYNC_TAGS } = ENP;
+
+// A job left 'processing' this long was abandoned by a page that was closed mid-fetch
+const STALE_JOB_MS = 5 * 60 * 1000;
+const MAX_BACKGROUND_LOG = 20;
+
+// One-off sync: registered by the page when a job is queued offline
+self.addEventListener('sync', event => {
+    if (event.tag === SYNC_TAGS.QUEUE) {
+        event.waitUntil(runBackgroundSync(false));
+    }
+});
+
+// Periodic sync: refresh every feed on the browser's schedule
+self.addEventListener('periodicsync', event => {
+    if (event.tag === SYNC_TAGS.REFRESH) {
+        event.waitUntil(runBackgroundSync(true));
+    }
+});
+
+/**
+ * Drain the sync queue, or hand it to an open window if there is one - the page
+ * keeps its own copy of the data and would overwrite changes made underneath it
+ * @param {boolean} refreshAll - Queue a fetch for every feed first
+ */
+async function runBackgroundSync(refreshAll) {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.length > 0) {
+        windows[0].postMessage({ type: refreshAll ? 'REFRESH_FEEDS' : 'PROCESS_SYNC_QUEUE' });
+        return;
+    }
+
+    const db = await ENP.openDatabase();
+    try {
+        const settings = await idbRequest(db, DB_CONFIG.META_STORE, 'readonly',
+            store => store.get(DB_CONFIG.META_KEYS.SYNC_SETTINGS));
+        // Older versions of the app saved bare subreddit names
+        if (settings) {
+            settings.subreddits = settings.subreddits.map(sub => typeof sub === 'string' ? { name: sub, sort: 'hot' } : sub);
+        }
+        let queue = await idbRequest(db, DB_CONFIG.STORES.QUEUE, 'readonly', store => store.getAll());
+
+        if (refreshAll) {
+            if (!settings || !settings.backgroundRefresh) return;
+
+            const jobs = [];
+            const enqueue = (type, subreddit) => {
+                if (!ENP.isDuplicateJob([...queue, ...jobs], type, subreddit)) {
+                    jobs.push(ENP.createSyncJob(type, subreddit));
+                }
+            };
+            settings.subreddits
+                .filter(ENP.isRefreshableSubreddit)
+                .forEach(sub => enqueue('fetch_subreddit', sub.name));
+            enqueue('fetch_popular');
+
+            await idbRequest(db, DB_CONFIG.STORES.QUEUE, 'readwrite', store => jobs.forEach(job => store.put(job)));
+            queue = [...queue, ...jobs];
+        }
+
+        const now = Date.now();
+        const runnable = queue
+            .filter(job => job.type === 'fetch_subreddit' || job.type === 'fetch_popular')
+            .filter(job => job.status === 'pending' || job.status === 'failed' ||
+                (job.status === 'processing' && now - (job.startTime || job.timestamp) > STALE_JOB_MS))
+            .sort((a, b) => a.timestamp - b.timestamp);
+
+        if (runnable.length === 0) return;
+
+        const added = [];
+        let updated = 0;
+        let fetched = 0;
+        let failed = 0;
+        let rateLimited = false;
+        const lastFetch = { my: {}, popular: {} };
+        const unavailable = {};
+
+        for (let i = 0; i < runnable.length; i++) {
+            if (i > 0) await new Promise(resolve => setTimeout(resolve, CONFIG.REQUEST_INTERVAL));
+
+            const job = runnable[i];
+            try {
+                const result = await runBackgroundJob(db, job, settings);
+                // Reddit wants us to back off: leave this and the remaining jobs for later
+                if (result.rateLimited) {
+                    rateLimited = true;
+                    break;
+                }
+                // Asking again won't make a private, banned or missing subreddit available
+                if (result.unavailable) {
+                    unavailable[job.subreddit] = result.unavailable;
+                    job.status = 'failed_max_retries';
+                    job.startTime = null;
+                    job.error = `HTTP ${result.status}`;
+                    job.unavailable = result.unavailable;
+                    await idbRequest(db, DB_CONFIG.STORES.QUEUE, 'readwrite', store => store.put(job));
+                    continue;
+                }
+                fetched++;
+                added.push(...result.added);
+                updated += result.updated;
+                if (result.newest) {
+                    const feed = job.type === 'fetch_popular' ? 'popular' : 'my';
+                    lastFetch[feed][job.subreddit || '_popular'] = result.newest;
+                }
+                await idbRequest(db, DB_CONFIG.STORES.QUEUE, 'readwrite', store => store.delete(job.id));
+            } catch (error) {
+                console.error(`[SW] Background job ${job.id} failed:`, error);
+                failed++;
+                job.retries = (job.retries || 0) + 1;
+                job.status = job.retries >= CONFIG.MAX_RETRIES ? 'failed_max_retries' : 'failed';
+                job.startTime = null;
+                job.error = error.message;
+                await idbRequest(db, DB_CONFIG.STORES.QUEUE, 'readwrite', store => store.put(job));
+            }
+        }
+
+        await saveBackgroundState(db, settings, lastFetch, unavailable);
+        const names = Object.entries(unavailable).map(([name, reason]) => `r/${name} (${reason.replace('_', ' ')})`);
+        await appendBackgroundLog(db,
+            `Background sync: ${added.length} new posts, ${updated} updated, from ${fetched}/${runnable.length} feeds` +
+            (names.length > 0 ? `. Unavailable: ${names.join(', ')}` : '') +
+            (rateLimited ? '. Stopped early: rate limited by Reddit' : ''));
+        await notifyWatchlistMatches(settings ? settings.watchlist : [], added)
+            .catch(error => console.error('[SW] Could not show watchlist notifications:', error));
+
+        // Let the browser retry a one-off sync later; periodic sync just runs again
+        if ((failed > 0 || rateLimited) && !refreshAll) {
+            throw new Error(rateLimited ? 'Rate limited' : `${failed} background jobs failed`);
+        }
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Fetch one feed, store its new posts as pending and update the ones already stored.
+ * 403 and 404 mean the subreddit can't be read and 429 that Reddit wants a pause -
+ * neither is thrown, so the caller doesn't spend retries on them
+ * @returns {Promise<{added: Array, updated: number, newest: number|null}|{unavailable: string, status: number}|{rateLimited: true}>}
+ *     The posts added, how many stored posts changed and the newest added post's
+ *     created_utc; or why the subreddit is unavailable; or that we were rate limited
+ */
+async function runBackgroundJob(db, job, settings) {
+    const feed = job.type === 'fetch_popular' ? 'popular' : 'my';
+    const entry = job.subreddit && settings
+        ? settings.subreddits.find(sub => sub.name.toLowerCase() === job.subreddit.toLowerCase())
+        : null;
+
+    const response = await ENP.fetchWithTimeout(ENP.buildFeedUrl(feed, job.subreddit, null, {
+        sort: entry ? entry.sort : 'hot',
+        region: settings ? settings.popularRegion : 'GLOBAL'
+    }));
+    if (response.status === 429) return { rateLimited: true };
+    if (job.subreddit && (response.status === 403 || response.status === 404)) {
+        const body = await response.json().catch(() => null);
+        return { unavailable: ENP.getUnavailableReason(response.status, body), status: response.status };
+    }
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const listing = ENP.parseListing(await response.json());
+    const updated = await updateStoredPosts(db, feed, listing);
+    const posts = listing.filter(post => ENP.isFreshPost(post));
+
+    // Skip posts already shown or waiting in this feed
+    const range = IDBKeyRange.bound([feed, ''], [feed, '\uffff']);
+    const [shown, waiting] = await Promise.all([
+        idbRequest(db, DB_CONFIG.STORES.POSTS, 'readonly', store => store.getAllKeys(range)),
+        idbRequest(db, DB_CONFIG.STORES.PENDING, 'readonly', store => store.getAllKeys(range))
+    ]);
+    const existing = new Set([...shown, ...waiting].map(([, id]) => id));
+    const newPosts = posts.filter(post => !existing.has(post.id));
+
+    if (newPosts.length > 0) {
+        await idbRequest(db, DB_CONFIG.STORES.PENDING, 'readwrite',
+            store => newPosts.forEach(post => store.put({ ...post, feed })));
+    }
+
+    const newest = newPosts.length > 0 ? Math.max(...newPosts.map(post => post.created_utc)) : null;
+    return { added: newPosts, updated, newest };
+}
+
+/**
+ * Keep what the page needs to know from a run until it next opens - lastFetch
+ * times, so its backfill doesn't page back past posts we already fetched, and
+ * unavailable subreddits. The latter are also flagged in the sync settings, so
+ * the next periodic run leaves them out
+ */
+async function saveBackgroundState(db, settings, lastFetch, unavailable) {
+    const names = Object.keys(unavailable);
+    if (names.length === 0 && Object.keys(lastFetch.my).length === 0 && Object.keys(lastFetch.popular).length === 0) return;
+
+    const key = DB_CONFIG.META_KEYS.BACKGROUND_STATE;
+    const existing = await idbRequest(db, DB_CONFIG.META_STORE, 'readonly', store => store.get(key));
+    const record = {
+        key,
+        lastFetch: {
+            my: { ...(existing ? existing.lastFetch.my : {}), ...lastFetch.my },
+            popular: { ...(existing ? existing.lastFetch.popular : {}), ...lastFetch.popular }
+        },
+        unavailable: { ...(existing ? existing.unavailable : {}), ...unavailable }
+    };
+    await idbRequest(db, DB_CONFIG.META_STORE, 'readwrite', store => store.put(record));
+
+    if (names.length > 0 && settings) {
+        settings.subreddits = settings.subreddits.map(sub =>
+            Object.hasOwn(unavailable, sub.name) ? { ...sub, status: unavailable[sub.name] } : sub);
+        await idbRequest(db, DB_CONFIG.META_STORE, 'readwrite', store => store.put(settings));
+    }
+}
+
+/**
+ * Merge fetched posts into the copies already stored for the feed and in starred
+ * @returns {Promise<number>} Stored posts that changed
+ */
+function updateStoredPosts(db, feed, posts) {
+    const { POSTS, PENDING, STARRED } = DB_CONFIG.STORES;
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction([POSTS, PENDING, STARRED], 'readwrite');
+        let updated = 0;
+
+        const update = (store, key, fetched) => {
+            const request = store.get(key);
+            request.onsuccess = () => {
+                const cached = request.result;
+                if (!cached) return;
+                const merged = ENP.mergePostUpdate(cached, fetched);
+                if (merged !== cached) {
+                    store.put(merged);
+                    updated++;
+                }
+            };
+        };
+
+        posts.forEach(post => {
+            update(tx.objectStore(POSTS), [feed, post.id], post);
+            update(tx.objectStore(PENDING), [feed, post.id], post);
+            update(tx.objectStore(STARRED), post.id, post);
+        });
+
+        tx.oncomplete = () => resolve(updated);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+// The page isn't open to show alerts, so new posts on the watchlist get a notification
+async function notifyWatchlistMatches(watchlist, posts) {
+    if (!watchlist || watchlist.length === 0 || Notification.permission !== 'granted') return;
+
+    const matches = posts
+        .map(post => ({ post, terms: ENP.matchWatchlist(post, watchlist) }))
+        .filter(match => match.terms.length > 0);
+    if (matches.length === 0) return;
+
+    await Promise.all(ENP.buildWatchNotifications(matches).map(({ title, options }) =>
+        self.registration.showNotification(title, options)));
+}
+
+// Leave a line for the page to move into its activity log on next start
+async function appendBackgroundLog(db, message) {
+    const key = DB_CONFIG.META_KEYS.BACKGROUND_LOG;
+    const entry = `${new Date().toLocaleString()}: ${message}`;
+    const existing = await idbRequest(db, DB_CONFIG.META_STORE, 'readonly', store => store.get(key));
+    const entries = [entry, ...(existing ? existing.entries : [])].slice(0, MAX_BACKGROUND_LOG);
+    await idbRequest(db, DB_CONFIG.META_STORE, 'readwrite', store => store.put({ key, entries }));
+}
+
+// ============================================================================
+// NOTIFICATION CLICK - Open the app (or bring it to the front)
+// ============================================================================
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            if (windows.length > 0) return windows[0].focus();
+            return self.clients.openWindow('./');
+        })
+    );
+});
+
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
 
+/**
+ * Run one operation in its own transaction
+ * @param {Function} operation - Receives the object store; its request's result
+ *        (if it returns one) is what the promise resolves to
+ * @returns {Promise<*>} Resolves once the transaction has committed
+ */
+function idbRequest(db, storeName, mode, operation) {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = operation(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(request ? request.result : undefined);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
 /**
  * Trim cache to maximum number of entries
  * @param {string} cacheName - Name of the cache to trim